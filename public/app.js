@@ -5,6 +5,10 @@
 let currentFile    = null;
 let currentWorkout = null;
 let currentOutput  = null; // { blob, filename }
+let currentStart   = null; // start time the output was built with
+let currentRoute   = null; // GPX text of the route for GPX export
+let currentSensor  = null; // { name, samples } of a separate HR recording
+let useIntervalLaps = false; // replace the recorded laps with detected intervals
 
 // ─── DOM refs ────────────────────────────────────────────────────────────────
 
@@ -21,6 +25,28 @@ const errorResetBtn   = document.getElementById('errorResetBtn');
 const errorMsg        = document.getElementById('errorMsg');
 const statsGrid       = document.getElementById('statsGrid');
 const chartWrap       = document.getElementById('chartWrap');
+const meanMaxWrap     = document.getElementById('meanMaxWrap');
+const zoneBars        = document.getElementById('zoneBars');
+const zoneEditor      = document.getElementById('zoneEditor');
+const zoneResetBtn    = document.getElementById('zoneResetBtn');
+const hrBasisSelect   = document.getElementById('hrBasisSelect');
+const lthrInput       = document.getElementById('lthrInput');
+const maxHrInput      = document.getElementById('maxHrInput');
+const lapTableWrap    = document.getElementById('lapTableWrap');
+const intervalPanel   = document.getElementById('intervalPanel');
+const compliancePanel = document.getElementById('compliancePanel');
+const dataQuality     = document.getElementById('dataQuality');
+const planExport      = document.getElementById('planExport');
+const planSummary     = document.getElementById('planSummary');
+const formatSelect    = document.getElementById('formatSelect');
+const routeGroup      = document.getElementById('routeGroup');
+const routeInput      = document.getElementById('routeInput');
+const routeHint       = document.getElementById('routeHint');
+const csvOptions      = document.getElementById('csvOptions');
+const fitOptions      = document.getElementById('fitOptions');
+const sensorFileInput = document.getElementById('sensorFileInput');
+const sensorHint      = document.getElementById('sensorHint');
+const sensorOptions   = document.getElementById('sensorOptions');
 const browseBtn       = document.getElementById('browseBtn');
 const uploadStravaBtn = document.getElementById('uploadStravaBtn');
 const uploadTpBtn     = document.getElementById('uploadTpBtn');
@@ -38,10 +64,11 @@ function formatDuration(totalSec) {
 
 /** Convert a UTC Date to a value suitable for <input type="datetime-local"> */
 function toDatetimeLocalValue(date) {
-  // datetime-local needs local time as YYYY-MM-DDTHH:MM
+  // datetime-local needs local time as YYYY-MM-DDTHH:MM:SS — keep the seconds,
+  // a separate HR recording is lined up against this time
   const pad = n => String(n).padStart(2, '0');
   return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
-         `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+         `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
 }
 
 function showSection(id) {
@@ -65,7 +92,13 @@ function reset() {
   currentFile    = null;
   currentWorkout = null;
   currentOutput  = null;
+  currentStart   = null;
+  currentSensor  = null;
+  useIntervalLaps = false;
   fileInput.value = '';
+  sensorFileInput.value = '';
+  setSensorHint(SENSOR_HINT, false);
+  sensorOptions.hidden = true;
   hideAllSections();
   dropZone.classList.remove('drop-zone--active', 'drop-zone--loaded');
   uploadStatus.hidden        = true;
@@ -158,6 +191,15 @@ async function extractFromZip(arrayBuffer) {
 
 // ─── File handling ────────────────────────────────────────────────────────────
 
+function isFitFile(file) {
+  return file.name.toLowerCase().endsWith('.fit');
+}
+
+/** The output name: the input's name with its .3dp or .fit extension swapped. */
+function outputName(extension) {
+  return currentFile.name.replace(/\.(3dp|fit)$/i, '') + extension;
+}
+
 async function handleFile(file) {
   if (!file) return;
 
@@ -176,16 +218,26 @@ async function handleFile(file) {
     return;
   }
 
-  if (!file.name.toLowerCase().endsWith('.3dp')) {
-    showError(`"${file.name}" does not appear to be a .3dp file. Please select a PerfPro file.`);
+  if (!/\.(3dp|fit)$/i.test(file.name)) {
+    showError(`"${file.name}" does not appear to be a .3dp or .fit file. Please select a PerfPro or FIT file.`);
     return;
   }
 
+  // Pre-populate the start time from the filename, or from the FIT session
+  let detected = PerfProConverter.extractStartTime(file.name);
+  if (isFitFile(file)) {
+    try {
+      detected = PerfProConverter.parseFit(await file.arrayBuffer()).startTime;
+    } catch (err) {
+      showError(`Parse error: ${err.message}`);
+      return;
+    }
+  }
+
   currentFile = file;
+  useIntervalLaps = false;
   hideAllSections();
 
-  // Pre-populate the start time from the filename
-  const detected = PerfProConverter.extractStartTime(file.name);
   if (detected) {
     startDateInput.value = toDatetimeLocalValue(detected);
   } else {
@@ -215,17 +267,32 @@ function setUploadStatus(state, message, url) {
     (url ? ` <a href="${url}" target="_blank" rel="noopener">View on platform →</a>` : '');
 }
 
+/**
+ * The file to upload to a platform. TrainingPeaks imports its own PWX format
+ * more accurately than TCX or FIT, so it gets a PWX build of the workout
+ * whatever the chosen download format.
+ */
+function uploadPayload(platformKey) {
+  if (platformKey !== 'trainingpeaks' || !currentWorkout) return currentOutput;
+  const pwx = PerfProConverter.buildPwx(currentWorkout, currentStart);
+  return {
+    blob:     new Blob([pwx], { type: 'application/xml' }),
+    filename: currentOutput.filename.replace(/\.[^.]+$/, '.pwx'),
+  };
+}
+
 function startOAuth(platformKey) {
   if (!currentOutput) return;
-  const cfg = PLATFORMS[platformKey];
+  const cfg     = PLATFORMS[platformKey];
+  const payload = uploadPayload(platformKey);
 
-  currentOutput.blob.arrayBuffer().then(buffer => {
+  payload.blob.arrayBuffer().then(buffer => {
     const bytes = new Uint8Array(buffer);
     let binary = '';
     for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
     sessionStorage.setItem('pendingUpload', JSON.stringify({
       content:  btoa(binary),
-      filename: currentOutput.filename,
+      filename: payload.filename,
     }));
 
     const redirectUri = encodeURIComponent(window.location.origin + window.location.pathname);
@@ -271,11 +338,12 @@ async function uploadFile(platformKey, accessToken, blob, filename) {
   const form = new FormData();
 
   if (platformKey === 'strava') {
-    const isFit = filename.toLowerCase().endsWith('.fit');
+    const extension = filename.split('.').pop().toLowerCase();
     form.append('file',      blob, filename);
-    form.append('data_type', isFit ? 'fit' : 'tcx');
-    form.append('name',      filename.replace(/\.(tcx|fit)$/i, '').replace(/_/g, ' '));
+    form.append('data_type', extension);
+    form.append('name',      filename.replace(/\.(tcx|fit|gpx)$/i, '').replace(/_/g, ' '));
   } else {
+    // TrainingPeaks: the PWX built by uploadPayload()
     form.append('file', blob, filename);
   }
 
@@ -407,7 +475,13 @@ fileInput.addEventListener('change', () => {
 
 // ─── Power chart ─────────────────────────────────────────────────────────────
 
-function buildPowerChart(trackpoints, stats) {
+/**
+ * SVG power (and speed) chart over the whole ride. Each of `peaks` — the
+ * mean-max efforts — gets a hidden band that the mean-max chart reveals on
+ * hover. With `powerZones` (from timeInZones) the area is shaded by zone,
+ * and each effort of `intervals` (from detectIntervals) gets a shaded band.
+ */
+function buildPowerChart(trackpoints, stats, { peaks = [], powerZones = null, intervals = [] } = {}) {
   const hasSpeed = stats.totalDistMeters > 0;
 
   const VW = 640, VH = 210;
@@ -486,6 +560,18 @@ function buildPowerChart(trackpoints, stats) {
   const baseY  = (padT + plotH).toFixed(2);
   const areaPath = `${linePath} L${lastX},${baseY} L${firstX},${baseY} Z`;
 
+  // ── Zone shading: a hard-stop gradient that changes color at each zone's
+  //    upper bound, running from 0 W at the baseline up to the top of the plot
+  let zoneStops = '';
+  (powerZones || []).forEach((zone, i) => {
+    const color = ZONE_COLORS[i % ZONE_COLORS.length];
+    const from  = i === 0 ? 0 : Math.min(1, powerZones[i - 1].maxValue / yMax);
+    const to    = zone.maxValue === null ? 1 : Math.min(1, zone.maxValue / yMax);
+    if (to <= from && i > 0) return;
+    zoneStops += `<stop offset="${(from * 100).toFixed(2)}%" stop-color="${color}" />` +
+                 `<stop offset="${(to * 100).toFixed(2)}%" stop-color="${color}" />`;
+  });
+
   // ── Power Y axis ticks ────────────────────────────────────────────────────
   const yStep = yMax <= 200 ? 50 : yMax <= 400 ? 100 : 150;
   let gridLines = '', yLabels = '';
@@ -504,6 +590,21 @@ function buildPowerChart(trackpoints, stats) {
     xLabels += `<text x="${x}" y="${padT + plotH + 20}">${min}m</text>`;
   }
 
+  // ── Peak effort bands (shown while hovering the mean-max chart) ──────────
+  const peakBands = peaks
+    .map((p, i) => p.watts === null ? '' :
+      `<rect class="chart__peak" data-peak="${i}" x="${sx(p.startSec).toFixed(2)}" y="${padT}" ` +
+      `width="${Math.max(1, sx(p.endSec) - sx(p.startSec)).toFixed(2)}" height="${plotH}" />`)
+    .join('');
+
+  // ── Detected effort bands ─────────────────────────────────────────────────
+  const intervalBands = intervals
+    .filter(iv => iv.kind === 'effort')
+    .map(iv =>
+      `<rect class="chart__interval" x="${sx(iv.startSec).toFixed(2)}" y="${padT}" ` +
+      `width="${Math.max(1, sx(iv.endSec) - sx(iv.startSec)).toFixed(2)}" height="${plotH}" />`)
+    .join('');
+
   // ── Average power line ────────────────────────────────────────────────────
   const avgY    = syW(avgW).toFixed(2);
   const avgLine = `<line class="chart__avg-line" x1="${padL}" y1="${avgY}" x2="${VW - padR}" y2="${avgY}" />`;
@@ -520,6 +621,7 @@ function buildPowerChart(trackpoints, stats) {
     <clipPath id="plotClip">
       <rect x="${padL}" y="${padT}" width="${plotW}" height="${plotH}" />
     </clipPath>
+    ${zoneStops ? `<linearGradient id="zoneGrad" gradientUnits="userSpaceOnUse" x1="0" y1="${baseY}" x2="0" y2="${padT}">${zoneStops}</linearGradient>` : ''}
   </defs>
 
   <!-- Grid lines -->
@@ -527,7 +629,9 @@ function buildPowerChart(trackpoints, stats) {
 
   <!-- Power area + line -->
   <g clip-path="url(#plotClip)">
-    <path class="chart__area" d="${areaPath}" fill="url(#areaGrad)" />
+    ${intervalBands}
+    ${peakBands}
+    <path class="chart__area${zoneStops ? ' chart__area--zone' : ''}" d="${areaPath}" fill="url(#${zoneStops ? 'zoneGrad' : 'areaGrad'})" />
     <path class="chart__line" d="${linePath}" />
     ${avgLine}
   </g>
@@ -560,10 +664,440 @@ function buildPowerChart(trackpoints, stats) {
 </svg>`.trim();
 }
 
+// ─── Mean-max chart ──────────────────────────────────────────────────────────
+
+function formatEffortDuration(sec) {
+  return sec < 60 ? `${sec}s` : `${sec / 60}m`;
+}
+
+/**
+ * SVG power-duration curve from computeMeanMax, on a log time axis. Each
+ * point carries `data-peak` so hovering it can highlight the effort on the
+ * power chart.
+ */
+function buildMeanMaxChart(curve) {
+  const points = curve.map((p, i) => ({ ...p, index: i })).filter(p => p.watts !== null);
+  if (points.length < 2) return '';
+
+  const VW = 640, VH = 170;
+  const padL = 52, padR = 20, padT = 18, padB = 38;
+  const plotW = VW - padL - padR;
+  const plotH = VH - padT - padB;
+
+  const logMin = Math.log(curve[0].durationSec);
+  const logMax = Math.log(curve[curve.length - 1].durationSec);
+  const yMax   = Math.max(50, Math.ceil(points[0].watts / 50) * 50);
+  const sx = sec   => padL + ((Math.log(sec) - logMin) / (logMax - logMin)) * plotW;
+  const sy = watts => padT + plotH - (watts / yMax) * plotH;
+
+  const yStep = yMax <= 200 ? 50 : yMax <= 400 ? 100 : 150;
+  let gridLines = '', yLabels = '';
+  for (let w = 0; w <= yMax; w += yStep) {
+    const y = sy(w).toFixed(2);
+    gridLines += `<line x1="${padL}" y1="${y}" x2="${VW - padR}" y2="${y}" />`;
+    yLabels   += `<text x="${padL - 8}" y="${y}" dy="0.35em">${w}</text>`;
+  }
+  const xLabels = curve
+    .map(p => `<text x="${sx(p.durationSec).toFixed(2)}" y="${padT + plotH + 20}">${formatEffortDuration(p.durationSec)}</text>`)
+    .join('');
+
+  const linePath = points
+    .map((p, i) => (i === 0 ? 'M' : 'L') + sx(p.durationSec).toFixed(2) + ',' + sy(p.watts).toFixed(2))
+    .join(' ');
+  const dots = points
+    .map(p => `
+  <g class="mean-max__point" data-peak="${p.index}" tabindex="0">
+    <title>Best ${formatEffortDuration(p.durationSec)}: ${p.watts} W at ${formatDuration(p.startSec)}</title>
+    <circle cx="${sx(p.durationSec).toFixed(2)}" cy="${sy(p.watts).toFixed(2)}" r="4" />
+    <text x="${sx(p.durationSec).toFixed(2)}" y="${(sy(p.watts) - 9).toFixed(2)}">${p.watts}</text>
+  </g>`)
+    .join('');
+
+  return `
+<svg class="power-chart mean-max-chart" viewBox="0 0 ${VW} ${VH}" xmlns="http://www.w3.org/2000/svg" aria-label="Mean-maximal power curve">
+  <g class="chart__grid">${gridLines}</g>
+  <path class="chart__line" d="${linePath}" />
+  ${dots}
+  <line class="chart__axis" x1="${padL}" y1="${padT}" x2="${padL}" y2="${padT + plotH}" />
+  <line class="chart__axis" x1="${padL}" y1="${padT + plotH}" x2="${VW - padR}" y2="${padT + plotH}" />
+  <g class="chart__y-labels">${yLabels}</g>
+  <g class="chart__x-labels">${xLabels}</g>
+  <text class="chart__axis-title chart__axis-title--y"
+        transform="rotate(-90) translate(${-(padT + plotH / 2)}, 12)">Watts</text>
+  <text class="chart__axis-title chart__axis-title--x"
+        x="${padL + plotW / 2}" y="${VH - 2}">Best effort duration (log scale)</text>
+</svg>`.trim();
+}
+
+// Hovering (or focusing) a mean-max point shows its effort on the power chart
+function highlightPeak(event) {
+  const point = event.target.closest('.mean-max__point');
+  chartWrap.querySelectorAll('.chart__peak--active').forEach(el => el.classList.remove('chart__peak--active'));
+  if (!point || event.type === 'mouseout' || event.type === 'focusout') return;
+  const band = chartWrap.querySelector(`.chart__peak[data-peak="${point.dataset.peak}"]`);
+  if (band) band.classList.add('chart__peak--active');
+}
+
+['mouseover', 'mouseout', 'focusin', 'focusout'].forEach(type => {
+  meanMaxWrap.addEventListener(type, highlightPeak);
+});
+
+// ─── Lap table ───────────────────────────────────────────────────────────────
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function buildLapTable(laps) {
+  const hasNames   = laps.some(lap => lap.name);
+  const hasHR      = laps.some(lap => lap.avgHr !== null);
+  const hasCadence = laps.some(lap => lap.avgCadence !== null);
+
+  const head = [
+    '#',
+    ...(hasNames ? ['Lap'] : []),
+    'Time', 'Distance', 'Avg W', 'Max W',
+    ...(hasHR      ? ['Avg HR']  : []),
+    ...(hasCadence ? ['Avg Cad'] : []),
+  ];
+  // Only the lap name is text; every other column holds a number
+  const nameClass = i => hasNames && i === 1 ? ' class="lap-table__name"' : '';
+
+  const rows = laps.map(lap => {
+    const distMiles = (lap.distMeters / 1000) * 0.621371;
+    const cells = [
+      lap.index + 1,
+      ...(hasNames ? [escapeHtml(lap.name || '')] : []),
+      formatDuration(lap.durationSec),
+      `${distMiles.toFixed(2)} mi`,
+      lap.avgWatts,
+      lap.maxWatts,
+      ...(hasHR      ? [lap.avgHr      ?? '–'] : []),
+      ...(hasCadence ? [lap.avgCadence ?? '–'] : []),
+    ];
+    return `<tr>${cells.map((c, i) => `<td${nameClass(i)}>${c}</td>`).join('')}</tr>`;
+  });
+
+  return `
+<table class="lap-table">
+  <thead><tr>${head.map((h, i) => `<th${nameClass(i)}>${h}</th>`).join('')}</tr></thead>
+  <tbody>${rows.join('')}</tbody>
+</table>`.trim();
+}
+
+// ─── Detected intervals ──────────────────────────────────────────────────────
+
+function buildIntervalPanel(intervals) {
+  const efforts = intervals.filter(iv => iv.kind === 'effort').length;
+  const hasHR   = intervals.some(iv => iv.avgHr !== null);
+
+  const rows = intervals.map(iv => {
+    const cells = [
+      iv.kind === 'effort' ? 'Effort' : 'Recovery',
+      formatDuration(iv.startSec),
+      formatDuration(iv.durationSec),
+      iv.avgWatts,
+      iv.maxWatts,
+      ...(hasHR ? [iv.avgHr ?? '–'] : []),
+    ];
+    return `<tr class="interval-row--${iv.kind}">${cells.map((c, i) => `<td${i === 0 ? ' class="lap-table__name"' : ''}>${c}</td>`).join('')}</tr>`;
+  });
+
+  return `
+<div class="interval-panel__header">
+  <p class="interval-panel__label">Detected intervals — ${efforts} effort${efforts === 1 ? '' : 's'}</p>
+  <button type="button" class="btn btn--ghost" id="intervalLapsBtn" aria-pressed="${useIntervalLaps}">
+    ${useIntervalLaps ? 'Use recorded laps' : 'Use as laps'}
+  </button>
+</div>
+<div class="lap-table-wrap">
+  <table class="lap-table">
+    <thead><tr><th class="lap-table__name">Type</th><th>Start</th><th>Time</th><th>Avg W</th><th>Max W</th>${hasHR ? '<th>Avg HR</th>' : ''}</tr></thead>
+    <tbody>${rows.join('')}</tbody>
+  </table>
+</div>`.trim();
+}
+
+// Switching between detected and recorded laps rebuilds the output file
+intervalPanel.addEventListener('click', (e) => {
+  if (!e.target.closest('#intervalLapsBtn') || !currentFile) return;
+  useIntervalLaps = !useIntervalLaps;
+  convertBtn.click();
+});
+
+// ─── Workout compliance ──────────────────────────────────────────────────────
+
+function buildCompliancePanel(report) {
+  const target = seg => seg.targetStartWatts === seg.targetEndWatts
+    ? `${seg.targetWatts}`
+    : `${seg.targetStartWatts}–${seg.targetEndWatts}`;
+
+  const rows = report.segments.map(seg => {
+    const cells = [
+      escapeHtml(seg.name || ''),
+      formatDuration(seg.startSec),
+      formatDuration(seg.durationSec),
+      target(seg),
+      seg.avgWatts ?? '–',
+      seg.compliancePct === null ? '–' : `${seg.compliancePct}%`,
+      formatDuration(seg.secondsAbove),
+      formatDuration(seg.secondsBelow),
+    ];
+    return `<tr>${cells.map((c, i) => `<td${i === 0 ? ' class="lap-table__name"' : ''}>${c}</td>`).join('')}</tr>`;
+  });
+
+  return `
+<p class="compliance__label">
+  Planned vs actual — <strong class="compliance__score">${report.score ?? '–'}%</strong> compliance
+  at FTP ${report.ftpWatts} W · ${formatDuration(report.secondsAbove)} above,
+  ${formatDuration(report.secondsBelow)} below target (±${report.tolerancePct}%)
+</p>
+<div class="lap-table-wrap">
+  <table class="lap-table">
+    <thead><tr><th class="lap-table__name">Segment</th><th>Start</th><th>Time</th><th>Target W</th><th>Avg W</th><th>Compliance</th><th>Above</th><th>Below</th></tr></thead>
+    <tbody>${rows.join('')}</tbody>
+  </table>
+</div>`.trim();
+}
+
+// ─── Data quality panel ──────────────────────────────────────────────────────
+
+// Rows beyond this are summarized — a damaged file can produce thousands
+const MAX_DIAGNOSTIC_ROWS = 200;
+
+function buildDataQuality(diagnostics) {
+  const counts = {};
+  diagnostics.forEach(d => { counts[d.code] = (counts[d.code] || 0) + 1; });
+  const summary = Object.entries(counts)
+    .map(([code, n]) => `<li><code>${escapeHtml(code)}</code> × ${n}</li>`)
+    .join('');
+
+  const rows = diagnostics.slice(0, MAX_DIAGNOSTIC_ROWS).map(d => `
+<tr>
+  <td><code>0x${d.offset.toString(16).padStart(6, '0')}</code></td>
+  <td>${d.recordIndex}</td>
+  <td><code>${escapeHtml(d.code)}</code></td>
+  <td>${escapeHtml(d.message)}</td>
+</tr>`.trim());
+  const more = diagnostics.length - rows.length;
+
+  return `
+<summary>Data quality — ${diagnostics.length} note${diagnostics.length === 1 ? '' : 's'}</summary>
+<ul class="data-quality__summary">${summary}</ul>
+<div class="lap-table-wrap">
+  <table class="lap-table data-quality__table">
+    <thead><tr><th>Offset</th><th>Record</th><th>Code</th><th>Details</th></tr></thead>
+    <tbody>${rows.join('')}</tbody>
+  </table>
+</div>
+${more > 0 ? `<p class="hint">…and ${more.toLocaleString()} more.</p>` : ''}`.trim();
+}
+
+// ─── GPX route ───────────────────────────────────────────────────────────────
+
+const ROUTE_HINT = routeHint.textContent;
+
+function setRouteHint(message, isError) {
+  routeHint.textContent = message;
+  routeHint.classList.toggle('hint--error', Boolean(isError));
+}
+
+formatSelect.addEventListener('change', () => {
+  routeGroup.hidden = formatSelect.value !== 'gpx';
+  csvOptions.hidden = formatSelect.value !== 'csv';
+  fitOptions.hidden = formatSelect.value !== 'fit';
+});
+
+routeInput.addEventListener('change', async () => {
+  const file = routeInput.files[0];
+  currentRoute = null;
+  if (!file) {
+    setRouteHint(ROUTE_HINT, false);
+    return;
+  }
+  try {
+    currentRoute = await file.text();
+    setRouteHint(`Using ${file.name}.`, false);
+  } catch {
+    setRouteHint('Could not read the route file.', true);
+  }
+});
+
+// ─── Heart rate merge ────────────────────────────────────────────────────────
+
+const SENSOR_HINT = sensorHint.textContent;
+
+function setSensorHint(message, isError) {
+  sensorHint.textContent = message;
+  sensorHint.classList.toggle('hint--error', Boolean(isError));
+}
+
+sensorFileInput.addEventListener('change', async () => {
+  const file = sensorFileInput.files[0];
+  currentSensor = null;
+  sensorOptions.hidden = true;
+  if (!file) {
+    setSensorHint(SENSOR_HINT, false);
+    return;
+  }
+  try {
+    const data    = file.name.toLowerCase().endsWith('.fit') ? await file.arrayBuffer() : await file.text();
+    const samples = PerfProConverter.readSensorSamples(data, file.name);
+    currentSensor = { name: file.name, samples };
+    sensorOptions.hidden = false;
+    setSensorHint(`Using ${file.name} (${samples.length.toLocaleString()} samples).`, false);
+  } catch (err) {
+    setSensorHint(`Could not read ${file.name}: ${err.message}`, true);
+  }
+});
+
+// ─── Training zones ──────────────────────────────────────────────────────────
+// Zone definitions and the heart rate references are edited in the options and
+// kept in localStorage, so they carry over to the next visit.
+
+const ZONES_STORAGE_KEY = 'perfproZones';
+const ZONE_COLORS = ['#8e9aaf', '#4f8ef7', '#2bb673', '#f5d323', '#f5a623', '#f05a28', '#c0392b'];
+
+function defaultZoneSettings() {
+  return {
+    power:   PerfProConverter.defaultZones('power'),
+    hrLthr:  PerfProConverter.defaultZones('hrLthr'),
+    hrMax:   PerfProConverter.defaultZones('hrMax'),
+    hrBasis: 'hrLthr',
+    lthr:    null,
+    maxHr:   null,
+  };
+}
+
+// Each zone has to end above the one before it; only the last is open-ended
+function zonesInOrder(zones) {
+  return zones.every((zone, i) => i === 0 ||
+    (zones[i - 1].upToPct !== null && zone.upToPct !== null && zone.upToPct > zones[i - 1].upToPct) ||
+    (i === zones.length - 1 && zone.upToPct === null && zones[i - 1].upToPct !== null));
+}
+
+function loadZoneSettings() {
+  const defaults = defaultZoneSettings();
+  try {
+    const settings = { ...defaults, ...JSON.parse(localStorage.getItem(ZONES_STORAGE_KEY) || '{}') };
+    // Zones saved out of order (before bounds were checked) fall back to the preset
+    ['power', 'hrLthr', 'hrMax'].forEach(kind => {
+      if (!Array.isArray(settings[kind]) || !zonesInOrder(settings[kind])) settings[kind] = defaults[kind];
+    });
+    return settings;
+  } catch {
+    return defaults;
+  }
+}
+
+let zoneSettings = loadZoneSettings();
+
+function saveZoneSettings() {
+  try {
+    localStorage.setItem(ZONES_STORAGE_KEY, JSON.stringify(zoneSettings));
+  } catch {
+    // Storage disabled (private browsing) — the settings last for this visit
+  }
+}
+
+function renderZoneEditor() {
+  const table = (kind, title) => `
+<table class="lap-table zone-editor__table" data-zone-kind="${kind}">
+  <caption>${title}</caption>
+  <thead><tr><th>Zone</th><th class="lap-table__name">Name</th><th>Up to %</th></tr></thead>
+  <tbody>${zoneSettings[kind].map((zone, i) => `
+    <tr>
+      <td><span class="zone-swatch" style="background:${ZONE_COLORS[i % ZONE_COLORS.length]}"></span>Z${i + 1}</td>
+      <td class="lap-table__name"><input type="text" data-index="${i}" data-field="name" value="${escapeHtml(zone.name)}"></td>
+      <td>${zone.upToPct === null ? 'and up' :
+        `<input type="number" min="1" max="500" step="1" data-index="${i}" data-field="upToPct" value="${zone.upToPct}">`}</td>
+    </tr>`).join('')}
+  </tbody>
+</table>`;
+  const hrTitle = zoneSettings.hrBasis === 'hrLthr' ? 'Heart rate (% of LTHR)' : 'Heart rate (% of max HR)';
+  zoneEditor.innerHTML = table('power', 'Power (% of FTP)') + table(zoneSettings.hrBasis, hrTitle);
+  hrBasisSelect.value = zoneSettings.hrBasis;
+  lthrInput.value     = zoneSettings.lthr ?? '';
+  maxHrInput.value    = zoneSettings.maxHr ?? '';
+}
+
+zoneEditor.addEventListener('input', (e) => {
+  const input = e.target;
+  const zones = zoneSettings[input.closest('[data-zone-kind]').dataset.zoneKind];
+  const zone  = zones[Number(input.dataset.index)];
+  if (input.dataset.field === 'name') {
+    zone.name = input.value;
+  } else {
+    // Keep the bound between its neighbors' so the zones stay in order
+    const index = Number(input.dataset.index);
+    const pct   = Number(input.value);
+    const above = index > 0 ? zones[index - 1].upToPct : 0;
+    const below = zones[index + 1] ? zones[index + 1].upToPct : null;
+    const valid = pct > above && (below === null || pct < below);
+    input.setCustomValidity(valid ? '' : `Enter a value above ${above}%${below === null ? '' : ` and below ${below}%`}.`);
+    if (!valid) return;
+    zone.upToPct = pct;
+  }
+  saveZoneSettings();
+});
+
+hrBasisSelect.addEventListener('change', () => {
+  zoneSettings.hrBasis = hrBasisSelect.value;
+  saveZoneSettings();
+  renderZoneEditor();
+});
+
+[[lthrInput, 'lthr'], [maxHrInput, 'maxHr']].forEach(([input, key]) => {
+  input.addEventListener('input', () => {
+    zoneSettings[key] = Number(input.value) || null;
+    saveZoneSettings();
+  });
+});
+
+zoneResetBtn.addEventListener('click', () => {
+  const { hrBasis, lthr, maxHr } = zoneSettings;
+  zoneSettings = { ...defaultZoneSettings(), hrBasis, lthr, maxHr };
+  saveZoneSettings();
+  renderZoneEditor();
+});
+
+renderZoneEditor();
+
+/** Stacked bar of the time in each zone, with a legend of times and shares. */
+function buildZoneBar(title, zones, unit) {
+  const color    = i => ZONE_COLORS[i % ZONE_COLORS.length];
+  const range    = zone => zone.maxValue === null ? `${zone.minValue}+ ${unit}` : `${zone.minValue}–${zone.maxValue} ${unit}`;
+  const segments = zones
+    .map((zone, i) => zone.percent > 0
+      ? `<span class="zone-bar__segment" style="width:${zone.percent}%;background:${color(i)}" title="Z${i + 1} ${escapeHtml(zone.name)}: ${formatDuration(zone.seconds)} (${zone.percent}%)"></span>`
+      : '')
+    .join('');
+  const legend = zones
+    .map((zone, i) => `
+    <li><span class="zone-swatch" style="background:${color(i)}"></span>Z${i + 1} ${escapeHtml(zone.name)}
+      <span class="zone-bar__range">${range(zone)}</span>
+      <span class="zone-bar__time">${formatDuration(zone.seconds)} · ${zone.percent}%</span></li>`)
+    .join('');
+  return `
+<div class="zone-bar">
+  <p class="zone-bar__title">${title}</p>
+  <div class="zone-bar__track">${segments}</div>
+  <ul class="zone-bar__legend">${legend}</ul>
+</div>`.trim();
+}
+
 // ─── Convert ─────────────────────────────────────────────────────────────────
 
 convertBtn.addEventListener('click', () => {
   if (!currentFile) return;
+  if (formatSelect.value === 'gpx' && !currentRoute) {
+    setRouteHint('Choose a .gpx route to export GPX.', true);
+    return;
+  }
 
   convertBtn.disabled = true;
   convertBtn.textContent = 'Converting…';
@@ -572,7 +1106,12 @@ convertBtn.addEventListener('click', () => {
 
   reader.onload = function (e) {
     try {
-      currentWorkout = PerfProConverter.parse3dp(e.target.result);
+      currentWorkout = isFitFile(currentFile)
+        ? PerfProConverter.parseFit(e.target.result)
+        : PerfProConverter.parse3dp(e.target.result, {
+          nativeResolution:   document.getElementById('nativeResolutionInput').checked,
+          interpolateGapsSec: Number(document.getElementById('gapFillInput').value) || 0,
+        });
     } catch (err) {
       convertBtn.disabled = false;
       convertBtn.textContent = 'Convert';
@@ -581,54 +1120,162 @@ convertBtn.addEventListener('click', () => {
     }
 
     // Read chosen start time from the picker (treat as local time)
-    const pickerValue = startDateInput.value; // "YYYY-MM-DDTHH:MM"
+    const pickerValue = startDateInput.value; // "YYYY-MM-DDTHH:MM:SS"
     const startTime   = pickerValue ? new Date(pickerValue) : new Date();
 
+    const ftpWatts = Number(document.getElementById('ftpInput').value) || null;
+
+    // Heart rate (and optionally cadence) from a separate watch recording
+    if (currentSensor) {
+      try {
+        currentWorkout = PerfProConverter.mergeSensorData(currentWorkout, currentSensor.samples, startTime, {
+          offsetSec: Number(document.getElementById('sensorOffsetInput').value) || 0,
+          cadence:   document.getElementById('sensorCadenceInput').checked,
+        });
+      } catch (err) {
+        convertBtn.disabled = false;
+        convertBtn.textContent = 'Convert';
+        showError(`Heart rate merge error: ${err.message}`);
+        return;
+      }
+    }
+
+    // Efforts found in the power trace; they replace the laps once accepted
+    const intervals = PerfProConverter.detectIntervals(currentWorkout, { ftpWatts });
+    if (useIntervalLaps && intervals.length > 0) {
+      currentWorkout = PerfProConverter.intervalLaps(currentWorkout, intervals);
+    }
+
     let outputContent;
     let outputFilename;
     let mimeType;
 
-    const format = document.getElementById('formatSelect').value;
+    const format = formatSelect.value;
 
     if (format === 'tcx') {
-      outputContent  = PerfProConverter.buildTcx(currentWorkout, startTime);
-      outputFilename = currentFile.name.replace(/\.3dp$/i, '.tcx');
+      outputContent  = PerfProConverter.buildTcx(currentWorkout, startTime, { ftpWatts });
+      outputFilename = outputName('.tcx');
       mimeType       = 'application/xml';
     } else if (format === 'fit') {
-      outputContent  = PerfProConverter.buildFit(currentWorkout, startTime);
-      outputFilename = currentFile.name.replace(/\.3dp$/i, '.fit');
+      outputContent  = PerfProConverter.buildFit(currentWorkout, startTime, {
+        subSport: document.getElementById('fitSubSportSelect').value,
+        ftpWatts,
+      });
+      outputFilename = outputName('.fit');
       mimeType       = 'application/octet-stream';
+    } else if (format === 'pwx') {
+      outputContent  = PerfProConverter.buildPwx(currentWorkout, startTime);
+      outputFilename = outputName('.pwx');
+      mimeType       = 'application/xml';
+    } else if (format === 'gpx') {
+      try {
+        outputContent = PerfProConverter.buildGpx(currentWorkout, startTime, currentRoute);
+      } catch (err) {
+        convertBtn.disabled = false;
+        convertBtn.textContent = 'Convert';
+        showError(`GPX export error: ${err.message}`);
+        return;
+      }
+      outputFilename = outputName('.gpx');
+      mimeType       = 'application/gpx+xml';
+    } else if (format === 'csv') {
+      outputContent  = PerfProConverter.buildCsv(currentWorkout, startTime, {
+        delimiter:  document.getElementById('csvDelimiterSelect').value,
+        units:      document.getElementById('csvUnitsSelect').value,
+        emptyValue: document.getElementById('csvEmptySelect').value,
+      });
+      outputFilename = outputName('.csv');
+      mimeType       = 'text/csv';
+    } else if (format === 'json') {
+      outputContent  = PerfProConverter.buildGcJson(currentWorkout, startTime);
+      outputFilename = outputName('.json');
+      mimeType       = 'application/json';
     }
 
     const blob = new Blob([outputContent], { type: mimeType });
     currentOutput = { blob, filename: outputFilename };
+    currentStart  = startTime;
 
     // Build stats display
     const { stats, athleteName } = currentWorkout;
     statsGrid.innerHTML = '';
 
+    // Time in zone — power against the FTP, heart rate against LTHR or max HR
+    const load        = PerfProConverter.analyzePower(currentWorkout, { ftpWatts });
+    const pauses      = currentWorkout.pauses || [];
+    const hrReference = zoneSettings.hrBasis === 'hrLthr' ? zoneSettings.lthr : zoneSettings.maxHr;
+    const powerZones  = load.ftpWatts
+      ? PerfProConverter.timeInZones(currentWorkout.trackpoints, 'watts', zoneSettings.power, load.ftpWatts, pauses)
+      : null;
+    const hrZones     = stats.hasHR && hrReference
+      ? PerfProConverter.timeInZones(currentWorkout.trackpoints, 'hr', zoneSettings[zoneSettings.hrBasis], hrReference, pauses)
+      : null;
+    zoneBars.innerHTML = [
+      powerZones ? buildZoneBar(`Power zones (FTP ${load.ftpWatts} W)`, powerZones, 'W') : '',
+      hrZones    ? buildZoneBar(`Heart rate zones (${zoneSettings.hrBasis === 'hrLthr' ? 'LTHR' : 'max HR'} ${hrReference} bpm)`, hrZones, 'bpm') : '',
+    ].join('');
+    zoneBars.hidden = !zoneBars.innerHTML;
+
     // Build power chart
-    chartWrap.innerHTML = buildPowerChart(currentWorkout.trackpoints, stats);
+    const meanMax = PerfProConverter.computeMeanMax(currentWorkout.trackpoints);
+    chartWrap.innerHTML   = buildPowerChart(currentWorkout.trackpoints, stats, { peaks: meanMax, powerZones, intervals });
+    meanMaxWrap.innerHTML = buildMeanMaxChart(meanMax);
+    meanMaxWrap.hidden    = !meanMaxWrap.innerHTML;
 
     const distKm    = stats.totalDistMeters / 1000;
     const distMiles = distKm * 0.621371;
-    const hours     = stats.durationSec / 3600;
+    const hours     = stats.timerSec / 3600; // moving time — pauses would drag the average down
     const avgSpeedMph = hours > 0 ? distMiles / hours : 0;
     const avgSpeedKph = hours > 0 ? distKm    / hours : 0;
 
+    // Power-to-weight from the rider weight PerfPro stored in the file header
+    const { metadata = {}, warnings = [] } = currentWorkout;
+    const weightKg = metadata.riderWeightKg;
+    const perKg    = watts => weightKg ? ` (${(watts / weightKg).toFixed(2)} W/kg)` : '';
+    const coverageText = pct => `${pct}% coverage`;
+    const { sensorMerge } = currentWorkout;
+    const heartRateText = () => {
+      if (sensorMerge && sensorMerge.hrPoints > 0) {
+        return `Merged from ${escapeHtml(currentSensor.name)} — avg ${sensorMerge.avgHr}, max ${sensorMerge.maxHr} bpm ` +
+               `(${coverageText(stats.coverage.hr)}${sensorMerge.offsetSec ? `, offset ${sensorMerge.offsetSec} s` : ''})`;
+      }
+      return stats.hasHR ? `Included (HR monitor detected, ${coverageText(stats.coverage.hr)})` : 'Not included (no monitor)';
+    };
+
     const rows = [
       ['Athlete',      athleteName],
-      ['Duration',     formatDuration(stats.durationSec)],
-      ['Avg Power',    `${stats.avgWatts} W`],
-      ['Max Power',    `${stats.maxWatts} W`],
+      ...(stats.pausedSec > 0 ? [
+        ['Moving Time',  formatDuration(stats.timerSec)],
+        ['Elapsed Time', `${formatDuration(stats.durationSec)} (${currentWorkout.pauses.length} pause${currentWorkout.pauses.length === 1 ? '' : 's'})`],
+      ] : [
+        ['Duration',     formatDuration(stats.durationSec)],
+      ]),
+      ['Avg Power',    `${stats.avgWatts} W${perKg(stats.avgWatts)}`],
+      ['Max Power',    `${stats.maxWatts} W${perKg(stats.maxWatts)}`],
+      ...(load.variabilityIndex !== null ? [
+        ['Normalized Power', `${load.normalizedPower} W${perKg(load.normalizedPower)} · VI ${load.variabilityIndex.toFixed(2)}`],
+      ] : []),
+      ...(load.intensityFactor !== null ? [
+        ['Training Load', `IF ${load.intensityFactor.toFixed(2)} · TSS ${load.trainingStressScore.toFixed(0)} (FTP ${load.ftpWatts} W)`],
+      ] : []),
+      ['Work',         `${load.workKj.toLocaleString()} kJ`],
+      ...(weightKg || metadata.ftpWatts ? [
+        ['Rider',      [
+          weightKg ? `${(weightKg * 2.20462).toFixed(0)} lb (${weightKg.toFixed(1)} kg)` : null,
+          metadata.ftpWatts ? `FTP ${metadata.ftpWatts} W` : null,
+        ].filter(Boolean).join(' · ')],
+      ] : []),
       ...(stats.totalDistMeters > 0 ? [
         ['Distance',   `${distMiles.toFixed(2)} mi (${distKm.toFixed(2)} km)`],
         ['Avg Speed',  `${avgSpeedMph.toFixed(1)} mph (${avgSpeedKph.toFixed(1)} km/h)`],
       ] : []),
-      ['Cadence',      stats.hasCadence ? 'Included (sensor detected)' : 'Not included (no sensor)'],
-      ['Heart Rate',   stats.hasHR      ? 'Included (HR monitor detected)' : 'Not included (no monitor)'],
-      ['Trackpoints',  currentWorkout.trackpoints.length.toLocaleString()],
+      ['Cadence',      stats.hasCadence ? `Included (sensor detected, ${coverageText(stats.coverage.cadence)})` : 'Not included (no sensor)'],
+      ['Heart Rate',   heartRateText()],
+      ['Trackpoints',  currentWorkout.trackpoints.length.toLocaleString() +
+                       (currentWorkout.resolution === 'native' ? ' (every raw sample)' : '')],
+      ['Laps',         (currentWorkout.laps || []).length.toLocaleString()],
       ['Output File',  outputFilename],
+      ...warnings.map(w => ['Header Check', escapeHtml(w.message)]),
     ];
 
     rows.forEach(([label, value]) => {
@@ -637,13 +1284,41 @@ convertBtn.addEventListener('click', () => {
       );
     });
 
-    downloadBtn.textContent = format === 'fit' ? 'Download FIT' : 'Download TCX';
+    // Lap table — only worth showing when the ride is split into more than one lap
+    const laps = currentWorkout.laps || [];
+    lapTableWrap.innerHTML = laps.length > 1 ? buildLapTable(laps) : '';
+    lapTableWrap.hidden    = laps.length <= 1;
+
+    // Detected intervals, with the option to export them as laps
+    intervalPanel.innerHTML = intervals.length > 0 ? buildIntervalPanel(intervals) : '';
+    intervalPanel.hidden    = intervals.length === 0;
+
+    // Planned vs actual — how closely a structured workout followed its targets
+    const compliance = PerfProConverter.planCompliance(currentWorkout, { ftpWatts });
+    compliancePanel.innerHTML = compliance ? buildCompliancePanel(compliance) : '';
+    compliancePanel.hidden    = !compliance;
+
+    // Data quality — everything the parser skipped or found suspicious
+    const diagnostics = currentWorkout.diagnostics || [];
+    dataQuality.innerHTML = diagnostics.length ? buildDataQuality(diagnostics) : '';
+    dataQuality.hidden    = !diagnostics.length;
+    dataQuality.open      = false;
+
+    // Planned workout — the structure PerfPro ran, for other trainer apps
+    const { plan } = currentWorkout;
+    planExport.hidden = !plan;
+    if (plan) {
+      planSummary.textContent = `— ${plan.name || 'Untitled'}, ${plan.segments.length} segments, ${formatDuration(plan.durationSec)}`;
+    }
+
+    downloadBtn.textContent = `Download ${format.toUpperCase()}`;
 
     convertBtn.disabled = false;
     convertBtn.textContent = 'Convert';
     showSection('resultSection');
 
-    uploadStravaBtn.hidden      = !PLATFORMS.strava.enabled;
+    // Strava imports neither CSV, PWX nor GoldenCheetah JSON; TrainingPeaks always gets PWX
+    uploadStravaBtn.hidden      = !PLATFORMS.strava.enabled || ['csv', 'pwx', 'json'].includes(format);
     uploadTpBtn.hidden          = !PLATFORMS.trainingpeaks.enabled;
     uploadStatus.hidden         = true;
     uploadStatus.innerHTML      = '';
@@ -661,14 +1336,40 @@ convertBtn.addEventListener('click', () => {
 
 // ─── Download ────────────────────────────────────────────────────────────────
 
-downloadBtn.addEventListener('click', () => {
-  if (!currentOutput) return;
-  const url = URL.createObjectURL(currentOutput.blob);
+function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
   const a   = document.createElement('a');
   a.href     = url;
-  a.download = currentOutput.filename;
+  a.download = filename;
   a.click();
   setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+downloadBtn.addEventListener('click', () => {
+  if (!currentOutput) return;
+  saveBlob(currentOutput.blob, currentOutput.filename);
+});
+
+const PLAN_BUILDERS = {
+  zwo: plan => PerfProConverter.buildZwo(plan),
+  erg: plan => PerfProConverter.buildErg(plan),
+  mrc: plan => PerfProConverter.buildMrc(plan),
+};
+
+planExport.addEventListener('click', (e) => {
+  const button = e.target.closest('[data-plan-format]');
+  if (!button || !currentWorkout || !currentWorkout.plan) return;
+  const format = button.dataset.planFormat;
+  let content;
+  try {
+    content = PLAN_BUILDERS[format](currentWorkout.plan);
+  } catch (err) {
+    showError(`Planned workout export error: ${err.message}`);
+    return;
+  }
+  const base = currentWorkout.plan.name || outputName('');
+  saveBlob(new Blob([content], { type: format === 'zwo' ? 'application/xml' : 'text/plain' }),
+    `${base.replace(/[\\/:*?"<>|]/g, '_')}.${format}`);
 });
 
 // ─── Platform upload buttons ─────────────────────────────────────────────────
@@ -5,9 +5,31 @@
  * Runs entirely client-side — no server or npm packages required.
  *
  * Exports (on window):
- *   PerfProConverter.parse3dp(arrayBuffer)  → workout object
+ *   PerfProConverter.parse3dp(arrayBuffer, options)  → workout object
+ *   PerfProConverter.build3dp(workout)  → .3dp file bytes
  *   PerfProConverter.buildTcx(workout, startTime)  → TCX string
+ *   PerfProConverter.buildPwx(workout, startTime)  → PWX string
+ *   PerfProConverter.buildGpx(workout, startTime, routeGpx)  → GPX string
+ *   PerfProConverter.buildCsv(workout, startTime, options)  → CSV string
+ *   PerfProConverter.buildGcJson(workout, startTime)  → GoldenCheetah JSON string
+ *   PerfProConverter.buildZwo(plan)  → Zwift workout string
+ *   PerfProConverter.buildErg(plan, ftpWatts)  → ERG string (watts)
+ *   PerfProConverter.buildMrc(plan)  → MRC string (percent of FTP)
+ *   PerfProConverter.buildFit(workout, startTime, options)  → FIT bytes
+ *   PerfProConverter.parseFit(arrayBuffer)  → workout object read from a FIT file
+ *   PerfProConverter.analyzePower(workout, options)  → NP, VI, IF, TSS and kJ
+ *   PerfProConverter.computeMeanMax(trackpoints)  → best power for 1 s … 60 min
+ *   PerfProConverter.defaultZones(kind)  → power or heart rate zone preset
+ *   PerfProConverter.timeInZones(trackpoints, key, zones, reference, pauses)  → time per zone
+ *   PerfProConverter.detectIntervals(workout, options)  → efforts and recoveries in the power trace
+ *   PerfProConverter.intervalLaps(workout, intervals)  → workout with the intervals as laps
+ *   PerfProConverter.planCompliance(workout, options)  → planned-vs-actual report per segment
+ *   PerfProConverter.readSensorSamples(data, fileName)  → HR/cadence samples of a FIT, TCX or GPX
+ *   PerfProConverter.mergeSensorData(workout, samples, startTime, options)  → workout with HR filled in
  *   PerfProConverter.extractStartTime(filename)  → Date
+ *   PerfProConverter.registerRecordDecoder(version, decoder)
+ *   PerfProConverter.recordLayout(arrayBuffer)  → record layout of the file's version
+ *   PerfProConverter.FormatError
  */
 
 "use strict";
@@ -15,9 +37,22 @@
 (function (global) {
   // ─── .3dp Format constants ──────────────────────────────────────────────────
 
+  // Every .3dp file opens with uint16 0x005E, a uint16 format version and the
+  // ASCII identifier "perf" at 0x04.
+  const MAGIC = 0x005e;
+  const VERSION_OFFSET = 0x02;
+  const IDENTIFIER_OFFSET = 0x04;
+  const IDENTIFIER = "perf";
+
+  const HEADER_RECORD_COUNT_COPY_OFFSET = 0x08; // uint32 LE, same as 0x6C
   const HEADER_NAME_OFFSET = 0x10;
+  const HEADER_NAME_SIZE = 64;
   const RECORD_START = 0x110;
   const RECORD_SIZE = 48;
+  // Byte 0 of each record is a segment marker: it changes value whenever PerfPro
+  // moves to the next workout segment, so each change starts a new lap.
+  const SEGMENT_MARKER_OFFSET = 0;
+  const SEGMENT_MARKER_FIRST = 0x83; // marker build3dp writes for the first lap
   const WATTS_OFFSET = 4;
   const CADENCE_OFFSET = 38;
   const HR_OFFSET = 46;
@@ -27,6 +62,41 @@
   // This is the authoritative source of timing — do NOT use a fixed sample rate.
   const TIMESTAMP_MS_OFFSET = 32;
 
+  // Every identified byte of a data record. Offsets not listed here are still
+  // unknown; tools/inspect-3dp.js reports on them.
+  const RECORD_FIELDS = [
+    {
+      offset: SEGMENT_MARKER_OFFSET,
+      size: 1,
+      type: "uint8",
+      name: "segment marker",
+    },
+    { offset: 1, size: 1, type: "uint8", name: "watts high byte (copy)" },
+    { offset: 2, size: 2, type: "bytes", name: "record signature" },
+    { offset: WATTS_OFFSET, size: 2, type: "uint16", name: "watts" },
+    {
+      offset: TIMESTAMP_MS_OFFSET,
+      size: 4,
+      type: "uint32",
+      name: "timestamp ms",
+    },
+    { offset: CADENCE_OFFSET, size: 1, type: "uint8", name: "cadence" },
+    {
+      offset: CADENCE_OFFSET + 1,
+      size: 1,
+      type: "uint8",
+      name: "cadence (copy)",
+    },
+    { offset: DIST_KM_OFFSET, size: 4, type: "float32", name: "distance km" },
+    { offset: HR_OFFSET, size: 1, type: "uint8", name: "heart rate" },
+    {
+      offset: HR_OFFSET + 1,
+      size: 1,
+      type: "uint8",
+      name: "heart rate (copy)",
+    },
+  ];
+
   // Maximum plausible gap between consecutive records (~550 ms typical).
   // Rest periods between intervals can legitimately exceed 30 seconds.
   // Corrupt sentinel records at the end of the file typically jump by hundreds of millions
@@ -34,6 +104,17 @@
   // real rest periods.
   const MAX_DELTA_MS = 300000;
 
+  // A gap between consecutive records longer than this (but within MAX_DELTA_MS)
+  // means the ride was stopped while PerfPro's clock kept running.
+  const PAUSE_GAP_MS = 5000;
+
+  // When a paused ride resumes, PerfPro rewinds its workout clock to the pause
+  // point. Backward steps smaller than this are ordinary timestamp jitter.
+  const CLOCK_REWIND_MS = 1000;
+
+  // Zero power with zero cadence for at least this long counts as stopped
+  const STOPPED_MIN_SEC = 10;
+
   // Sensor "default" values written by PerfPro when no real sensor is connected
   const CADENCE_DEFAULT = 90;
   const HR_DEFAULT = 50;
@@ -41,6 +122,63 @@
   // Minimum fraction of records with non-default values to count as a real sensor
   const SENSOR_THRESHOLD = 0.05;
 
+  // Inside a real sensor stream, the no-sensor default held at least this long
+  // means the sensor dropped out. A real reading never sits exactly on one value
+  // for that long.
+  const DROPOUT_MIN_MS = 10000;
+
+  // ─── Header metadata constants ──────────────────────────────────────────────
+  // Offsets inside the 192-byte metadata block at 0x50–0x10F. Every identified
+  // field was confirmed against the recorded data of real files.
+  const HEADER_META_START = 0x50;
+  const HEADER_WEIGHT_KG_OFFSET = 0x58; // float32 LE, rider weight in kg
+  const HEADER_FTP_OFFSET = 0x60; // uint16 LE, FTP setting in watts
+  const HEADER_YEAR_OFFSET = 0x64; // uint16 LE, then month, day, hour, minute bytes at 0x68
+  const HEADER_DATE_OFFSET = 0x68;
+  const HEADER_RECORD_COUNT_OFFSET = 0x6c; // uint32 LE, includes the trailing sentinel
+  const HEADER_TOTAL_MS_OFFSET = 0x70; // uint32 LE, recorded time in ms
+  const HEADER_TOTAL_DIST_OFFSET = 0x74; // float32 LE, recorded distance in meters
+  const HEADER_MODE_OFFSET = 0x52;
+  const HEADER_MODE = "RRC0"; // in every observed file; meaning unknown
+
+  // Metadata bytes that are not decoded yet — returned raw so they can be studied
+  const HEADER_UNKNOWN_RANGES = [
+    { offset: 0x50, length: 2 },
+    { offset: 0x52, length: 4 }, // ASCII "RRC0" in every observed file
+    { offset: 0x56, length: 2 },
+    { offset: 0x5c, length: 4 },
+    { offset: 0x62, length: 2 },
+    { offset: 0x66, length: 2 },
+    { offset: 0x78, length: 0x68 },
+    { offset: 0xe0, length: 0x30 }, // laid out like a 48-byte data record
+  ];
+
+  // Tolerances for cross-checking header totals against the parsed records
+  const HEADER_DURATION_TOLERANCE_SEC = 1;
+  const HEADER_DISTANCE_TOLERANCE_M = 1;
+
+  // ─── Footer constants ───────────────────────────────────────────────────────
+  // The plaintext footer after the data records carries the structured workout
+  // PerfPro executed. The segment list follows the ASCII tag "WORKOUT " and a
+  // length-prefixed workout name (the length byte includes the null terminator).
+  const FOOTER_WORKOUT_TAG = "WORKOUT ";
+  // Bytes between the end of the workout name and the uint32 segment count
+  const FOOTER_SEGMENT_COUNT_SKIP = 21;
+  // Their contents, identical in every observed file — written back by build3dp
+  const FOOTER_SEGMENT_COUNT_PREFIX = [
+    0xc9, 0x06, 0, 0, 0, 0, 0, 0, 0, 0x58, 0x02, 0xc2, 0x01, 0x77, 0x01, 0x2c,
+    0x01, 0xe1, 0x00, 0xd0, 0x00,
+  ];
+  // Segment entry bytes 13–14, always 0x01 0xff
+  const FOOTER_SEGMENT_FLAGS = [0x01, 0xff];
+  // Fixed part of each segment entry: startMin f32, endMin f32, startPct u16,
+  // endPct u16, cadence target u8, two unknown bytes, label length u8
+  const FOOTER_SEGMENT_FIXED_SIZE = 16;
+  // Files that were paused add "PAUSE", a uint32 count and, per pause, the
+  // uint32 workout-clock ms at which the ride stopped and the uint32 pause length
+  const FOOTER_PAUSE_TAG = "PAUSE";
+  const FOOTER_PAUSE_ENTRY_SIZE = 8;
+
   // ─── Helpers ─────────────────────────────────────────────────────────────────
 
   function readNullTermString(bytes, offset, maxLen) {
@@ -82,190 +220,2789 @@
     return Math.round(arr.reduce((s, v) => s + v, 0) / arr.length);
   }
 
+  /** Find the first occurrence of an ASCII string in bytes at or after `from`. */
+  function indexOfAscii(bytes, text, from) {
+    outer: for (let i = from; i <= bytes.length - text.length; i++) {
+      for (let j = 0; j < text.length; j++) {
+        if (bytes[i + j] !== text.charCodeAt(j)) continue outer;
+      }
+      return i;
+    }
+    return -1;
+  }
+
+  function toHex(bytes) {
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join(" ");
+  }
+
+  // ─── Format errors ───────────────────────────────────────────────────────────
+
+  /**
+   * Thrown when a file can't be read as a .3dp file. `code` says why:
+   * "too-small", "not-3dp", "unsupported-version" (with `version`) or
+   * "no-records". parseFit adds "not-fit", "bad-crc", "truncated",
+   * "undefined-local-type" and "no-timestamp", and the heart rate merge
+   * "unsupported-format", "no-sensor-data" and "no-overlap".
+   */
+  class FormatError extends Error {
+    constructor(code, message, details = {}) {
+      super(message);
+      this.name = "FormatError";
+      this.code = code;
+      Object.assign(this, details);
+    }
+  }
+
+  // ─── Header metadata ─────────────────────────────────────────────────────────
+
+  /**
+   * Decode the identified fields of the header metadata block.
+   *
+   * @param  {Uint8Array} bytes
+   * @returns {{
+   *   riderWeightKg: number|null, ftpWatts: number|null, startedAt: Date|null,
+   *   recordCount: number, totalDurationSec: number, totalDistMeters: number,
+   *   unknown: Array<{ offset: number, label: string, hex: string }>
+   * }}
+   */
+  function parseHeaderMetadata(bytes) {
+    const weight = readFloat32LE(bytes, HEADER_WEIGHT_KG_OFFSET);
+    const ftp = bytes[HEADER_FTP_OFFSET] | (bytes[HEADER_FTP_OFFSET + 1] << 8);
+
+    const year =
+      bytes[HEADER_YEAR_OFFSET] | (bytes[HEADER_YEAR_OFFSET + 1] << 8);
+    const [month, day, hour, minute] = bytes.subarray(
+      HEADER_DATE_OFFSET,
+      HEADER_DATE_OFFSET + 4
+    );
+    const validDate =
+      year >= 1990 && month >= 1 && month <= 12 && day >= 1 && day <= 31;
+
+    return {
+      riderWeightKg: weight > 0 && weight < 500 ? weight : null,
+      ftpWatts: ftp > 0 ? ftp : null,
+      // Wall-clock time, like the filename timestamp (the header has no seconds)
+      startedAt: validDate
+        ? new Date(year, month - 1, day, hour, minute)
+        : null,
+      recordCount: readUint32LE(bytes, HEADER_RECORD_COUNT_OFFSET),
+      totalDurationSec: Math.floor(
+        readUint32LE(bytes, HEADER_TOTAL_MS_OFFSET) / 1000
+      ),
+      totalDistMeters: readFloat32LE(bytes, HEADER_TOTAL_DIST_OFFSET),
+      unknown: HEADER_UNKNOWN_RANGES.map(({ offset, length }) => ({
+        offset,
+        label: `0x${offset.toString(16)}–0x${(offset + length - 1).toString(
+          16
+        )}`,
+        hex: toHex(bytes.subarray(offset, offset + length)),
+      })),
+    };
+  }
+
+  /**
+   * Compare the header's recorded totals with what the records actually hold.
+   * `recorded.durationSec` is PerfPro's own clock at the last record, which
+   * excludes pauses that rewound it. Returns one warning per disagreement.
+   *
+   * @param  {object} metadata
+   * @param  {{ recordCount: number, durationSec: number, totalDistMeters: number }} recorded
+   */
+  function checkHeaderTotals(metadata, recorded) {
+    const warnings = [];
+    // Headers of other format versions may not carry every total
+    const has = (key) => typeof metadata[key] === "number";
+    if (has("recordCount") && metadata.recordCount !== recorded.recordCount) {
+      warnings.push({
+        code: "header-record-count",
+        message: `Header lists ${metadata.recordCount} records but the file holds ${recorded.recordCount}.`,
+      });
+    }
+    if (
+      has("totalDurationSec") &&
+      Math.abs(metadata.totalDurationSec - recorded.durationSec) >
+        HEADER_DURATION_TOLERANCE_SEC
+    ) {
+      warnings.push({
+        code: "header-duration",
+        message: `Header duration is ${metadata.totalDurationSec} s but the records end at ${recorded.durationSec} s.`,
+      });
+    }
+    if (
+      has("totalDistMeters") &&
+      Math.abs(metadata.totalDistMeters - recorded.totalDistMeters) >
+        HEADER_DISTANCE_TOLERANCE_M
+    ) {
+      warnings.push({
+        code: "header-distance",
+        message: `Header distance is ${metadata.totalDistMeters.toFixed(
+          1
+        )} m but the records end at ${recorded.totalDistMeters.toFixed(1)} m.`,
+      });
+    }
+    return warnings;
+  }
+
+  // ─── Record decoders ─────────────────────────────────────────────────────────
+  // One decoder per header format version. Older Computrainer / CS layouts are
+  // added with registerRecordDecoder() instead of branching inside parse3dp.
+
+  const recordDecoders = new Map();
+
+  /**
+   * Register the record decoder for a .3dp format version.
+   *
+   * @param {number} version  uint16 at 0x02 of the file
+   * @param {{
+   *   name: string,
+   *   recordStart: number,
+   *   recordSize: number,
+   *   fields?: Array<{offset, size, type, name}>,
+   *   isDataRecord: function(Uint8Array, number): boolean,
+   *   readRecord: function(Uint8Array, number): {ms, watts, cadence, hr, distKm, marker},
+   *   readHeader: function(Uint8Array): object
+   * }} decoder
+   */
+  function registerRecordDecoder(version, decoder) {
+    if (!decoder || typeof decoder !== "object") {
+      throw new TypeError(`Record decoder for version ${version} is missing.`);
+    }
+    for (const key of ["recordStart", "recordSize"]) {
+      if (!Number.isInteger(decoder[key]) || decoder[key] <= 0) {
+        throw new TypeError(
+          `Record decoder for version ${version} needs ${key} as a positive integer, got ${decoder[key]}.`
+        );
+      }
+    }
+    for (const key of ["isDataRecord", "readRecord", "readHeader"]) {
+      if (typeof decoder[key] !== "function") {
+        throw new TypeError(
+          `Record decoder for version ${version} needs ${key}().`
+        );
+      }
+    }
+    recordDecoders.set(version, decoder);
+  }
+
+  registerRecordDecoder(2, {
+    name: "PerfPro v2",
+    recordStart: RECORD_START,
+    recordSize: RECORD_SIZE,
+    fields: RECORD_FIELDS,
+    isDataRecord,
+    readRecord(bytes, offset) {
+      return {
+        ms: readUint32LE(bytes, offset + TIMESTAMP_MS_OFFSET),
+        // Watts are stored as a little-endian uint16: byte[4] is the low byte,
+        // byte[5] (which mirrors byte[1]) is the high byte, allowing values up to 511 W.
+        watts:
+          bytes[offset + WATTS_OFFSET] |
+          (bytes[offset + WATTS_OFFSET + 1] << 8),
+        cadence: bytes[offset + CADENCE_OFFSET],
+        hr: bytes[offset + HR_OFFSET],
+        distKm: readFloat32LE(bytes, offset + DIST_KM_OFFSET),
+        marker: bytes[offset + SEGMENT_MARKER_OFFSET],
+      };
+    },
+    readHeader: parseHeaderMetadata,
+  });
+
+  /**
+   * Check the magic and identifier and pick the decoder for the file's version.
+   *
+   * @param  {Uint8Array} bytes
+   * @returns {{ version: number, decoder: object }}
+   */
+  function selectDecoder(bytes) {
+    if (bytes.length < IDENTIFIER_OFFSET + IDENTIFIER.length) {
+      throw new FormatError(
+        "too-small",
+        "File is too small to be a valid .3dp file."
+      );
+    }
+    const magic = bytes[0] | (bytes[1] << 8);
+    if (
+      magic !== MAGIC ||
+      indexOfAscii(bytes, IDENTIFIER, IDENTIFIER_OFFSET) !== IDENTIFIER_OFFSET
+    ) {
+      throw new FormatError(
+        "not-3dp",
+        `Not a PerfPro .3dp file — expected 5e 00 and "perf" at the start, found ${toHex(
+          bytes.subarray(0, IDENTIFIER_OFFSET + IDENTIFIER.length)
+        )}.`
+      );
+    }
+
+    const version = bytes[VERSION_OFFSET] | (bytes[VERSION_OFFSET + 1] << 8);
+    const decoder = recordDecoders.get(version);
+    if (!decoder) {
+      const known = Array.from(recordDecoders.keys()).join(", ");
+      throw new FormatError(
+        "unsupported-version",
+        `Unsupported .3dp format version ${version} — this converter reads version ${known}.`,
+        { version }
+      );
+    }
+    return { version, decoder };
+  }
+
+  /**
+   * Describe the record layout of a .3dp file, for tools that inspect the raw
+   * records rather than the parsed workout.
+   *
+   * @param  {ArrayBuffer} arrayBuffer
+   * @returns {{ version: number, name: string, recordStart: number, recordSize: number,
+   *             maxDeltaMs: number, fields: Array<{offset, size, type, name}>,
+   *             isDataRecord: function, readRecord: function }}
+   */
+  function recordLayout(arrayBuffer) {
+    const { version, decoder } = selectDecoder(new Uint8Array(arrayBuffer));
+    return {
+      version,
+      name: decoder.name,
+      recordStart: decoder.recordStart,
+      recordSize: decoder.recordSize,
+      maxDeltaMs: MAX_DELTA_MS,
+      fields: decoder.fields || [],
+      isDataRecord: decoder.isDataRecord,
+      readRecord: decoder.readRecord,
+    };
+  }
+
+  // ─── Footer parser ───────────────────────────────────────────────────────────
+
+  /**
+   * Decode the segment list from the plaintext footer.
+   *
+   * Labels carry an optional repeat suffix after a pipe, e.g.
+   * "Solid 94% just under FTP|2 of 5" → name "Solid 94% just under FTP",
+   * repeat { index: 2, count: 5 }. Segment times are stored in minutes from
+   * workout start and targets as percent of FTP (start and end differ on ramps).
+   *
+   * Pauses follow the segment list; their times are on PerfPro's workout clock.
+   *
+   * @param  {Uint8Array} bytes
+   * @param  {number} footerOffset  first byte after the data records
+   * @returns {{ workoutName: string|null, intervals: Array, pauses: Array<{atMs:number, durationMs:number}> }}
+   */
+  function parseFooter(bytes, footerOffset) {
+    const tag = indexOfAscii(bytes, FOOTER_WORKOUT_TAG, footerOffset);
+    if (tag === -1) {
+      return {
+        workoutName: null,
+        intervals: [],
+        pauses: parseFooterPauses(bytes, footerOffset),
+      };
+    }
+
+    let pos = tag + FOOTER_WORKOUT_TAG.length;
+    const nameLen = bytes[pos++];
+    const workoutName =
+      pos + nameLen <= bytes.length
+        ? readNullTermString(bytes, pos, nameLen) || null
+        : null;
+    pos += nameLen + FOOTER_SEGMENT_COUNT_SKIP;
+    if (pos + 4 > bytes.length) {
+      return { workoutName, intervals: [], pauses: [] };
+    }
+
+    const count = readUint32LE(bytes, pos);
+    pos += 4;
+
+    const intervals = [];
+    for (let i = 0; i < count; i++) {
+      if (pos + FOOTER_SEGMENT_FIXED_SIZE > bytes.length) break;
+      const startMin = readFloat32LE(bytes, pos);
+      const endMin = readFloat32LE(bytes, pos + 4);
+      const startPct = bytes[pos + 8] | (bytes[pos + 9] << 8);
+      const endPct = bytes[pos + 10] | (bytes[pos + 11] << 8);
+      const cadenceTarget = bytes[pos + 12];
+      const labelLen = bytes[pos + 15];
+      pos += FOOTER_SEGMENT_FIXED_SIZE;
+      if (pos + labelLen > bytes.length) break;
+      const label = readNullTermString(bytes, pos, labelLen);
+      pos += labelLen;
+
+      const [name, repeatText] = label.split("|");
+      const repeatMatch = repeatText && repeatText.match(/(\d+)\s+of\s+(\d+)/);
+
+      intervals.push({
+        name: name.trim(),
+        label,
+        repeat: repeatMatch
+          ? { index: Number(repeatMatch[1]), count: Number(repeatMatch[2]) }
+          : null,
+        target: { startPct, endPct },
+        cadenceTarget: cadenceTarget || null,
+        startSec: Math.round(startMin * 60),
+        endSec: Math.round(endMin * 60),
+      });
+    }
+
+    return {
+      workoutName,
+      intervals,
+      pauses: parseFooterPauses(bytes, Math.min(pos, bytes.length)),
+    };
+  }
+
+  /**
+   * Decode the footer's pause list, searching from `from`.
+   *
+   * @param  {Uint8Array} bytes
+   * @param  {number} from
+   * @returns {Array<{ atMs: number, durationMs: number }>}
+   */
+  function parseFooterPauses(bytes, from) {
+    const tag = indexOfAscii(bytes, FOOTER_PAUSE_TAG, from);
+    if (tag === -1) return [];
+
+    let pos = tag + FOOTER_PAUSE_TAG.length;
+    if (pos + 4 > bytes.length) return [];
+    const count = readUint32LE(bytes, pos);
+    pos += 4;
+
+    const pauses = [];
+    for (let i = 0; i < count; i++) {
+      if (pos + FOOTER_PAUSE_ENTRY_SIZE > bytes.length) break;
+      pauses.push({
+        atMs: readUint32LE(bytes, pos),
+        durationMs: readUint32LE(bytes, pos + 4),
+      });
+      pos += FOOTER_PAUSE_ENTRY_SIZE;
+    }
+    return pauses.sort((a, b) => a.atMs - b.atMs);
+  }
+
+  // ─── Pause detection ─────────────────────────────────────────────────────────
+
+  /**
+   * Place the records on an elapsed (wall-clock) timeline and find the pauses.
+   *
+   * PerfPro handles a pause in one of two ways, and footer pauses are matched
+   * to whichever one the records show:
+   *   - the clock keeps running and the records simply stop → a timestamp gap;
+   *   - the clock rewinds to the pause point on resume → the records written
+   *     while stopped are dropped and every later record is shifted forward.
+   * A footer pause with neither (the clock froze) shifts the later records too.
+   *
+   * Sets `elapsedMs` on each kept record; `dropped` lists the records
+   * captured while stopped.
+   *
+   * @param  {Array<{ms:number}>} records  valid data records in file order
+   * @param  {Array<{atMs:number, durationMs:number}>} footerPauses
+   * @returns {{
+   *   records: Array,
+   *   dropped: Array,
+   *   pauses: Array<{ startMs:number, endMs:number, source:string }>,
+   *   toElapsedMs: function(number): number
+   * }}
+   */
+  function resolvePauses(records, footerPauses) {
+    const isRewind = (prev, rec) => prev.ms - rec.ms > CLOCK_REWIND_MS;
+    const isGap = (prev, rec) => rec.ms - prev.ms > PAUSE_GAP_MS;
+    // Does the step from `prev` to `rec` show footer pause `fp`?
+    const shows = (fp, prev, rec) =>
+      isRewind(prev, rec)
+        ? fp.atMs >= rec.ms - CLOCK_REWIND_MS && fp.atMs <= prev.ms
+        : isGap(prev, rec) && fp.atMs >= prev.ms && fp.atMs <= rec.ms;
+
+    const frozen = footerPauses.filter(
+      (fp) => !records.some((rec, i) => i > 0 && shows(fp, records[i - 1], rec))
+    );
+    const matched = footerPauses.filter((fp) => !frozen.includes(fp));
+    const takeMatched = (prev, rec) => {
+      const i = matched.findIndex((fp) => shows(fp, prev, rec));
+      return i === -1 ? null : matched.splice(i, 1)[0];
+    };
+
+    const kept = [];
+    const dropped = [];
+    const pauses = [];
+    const shifts = []; // { atMs (workout clock), shiftMs } — ascending
+    let shiftMs = 0;
+
+    // A pause the workout clock did not count: later records move forward
+    const addShift = (atMs, durationMs, source) => {
+      pauses.push({
+        startMs: atMs + shiftMs,
+        endMs: atMs + shiftMs + durationMs,
+        source,
+      });
+      shiftMs += durationMs;
+      shifts.push({ atMs, shiftMs });
+    };
+
+    records.forEach((rec, i) => {
+      const prev = records[i - 1];
+
+      while (frozen.length && rec.ms > frozen[0].atMs) {
+        const fp = frozen.shift();
+        addShift(fp.atMs, fp.durationMs, "footer");
+      }
+
+      if (prev && isRewind(prev, rec)) {
+        // Records past the resume point were captured while stopped
+        while (kept.length && kept[kept.length - 1].ms > rec.ms) {
+          dropped.unshift(kept.pop());
+        }
+        const fp = takeMatched(prev, rec);
+        if (fp) addShift(fp.atMs, fp.durationMs, "footer");
+        else addShift(rec.ms, prev.ms - rec.ms, "clock");
+      } else if (prev && isGap(prev, rec)) {
+        pauses.push({
+          startMs: prev.ms + shiftMs,
+          endMs: rec.ms + shiftMs,
+          source: takeMatched(prev, rec) ? "footer" : "gap",
+        });
+      }
+
+      rec.elapsedMs = rec.ms + shiftMs;
+      kept.push(rec);
+    });
+
+    // Map a workout-clock time (e.g. a footer segment boundary) onto elapsed time
+    const toElapsedMs = (clockMs) => {
+      const before = shifts.filter((sh) => sh.atMs < clockMs);
+      return clockMs + (before.length ? before[before.length - 1].shiftMs : 0);
+    };
+
+    return { records: kept, dropped, pauses, toElapsedMs };
+  }
+
+  /**
+   * Find stretches of at least STOPPED_MIN_SEC with zero power and no cadence
+   * that don't overlap an already known pause.
+   */
+  function findStoppedStretches(trackpoints, knownPauses) {
+    const stretches = [];
+    let runStart = null;
+    let runEnd = null;
+
+    const close = () => {
+      if (runStart !== null && runEnd - runStart >= STOPPED_MIN_SEC) {
+        const overlaps = knownPauses.some(
+          (p) => p.startSec < runEnd && p.endSec > runStart
+        );
+        if (!overlaps) {
+          stretches.push({
+            startSec: runStart,
+            endSec: runEnd,
+            source: "stopped",
+          });
+        }
+      }
+      runStart = null;
+    };
+
+    for (const tp of trackpoints) {
+      const stopped = tp.watts === 0 && !tp.cadence;
+      if (stopped && runStart !== null && tp.sec === runEnd) {
+        runEnd = tp.sec + 1;
+      } else if (stopped) {
+        close();
+        runStart = tp.sec;
+        runEnd = tp.sec + 1;
+      } else {
+        close();
+      }
+    }
+    close();
+    return stretches;
+  }
+
+  /** Seconds of the [startSec, endSec) range covered by pauses. */
+  function pausedSecondsIn(pauses, startSec, endSec) {
+    return pauses.reduce(
+      (sum, p) =>
+        sum +
+        Math.max(
+          0,
+          Math.min(endSec, p.endSec) - Math.max(startSec, p.startSec)
+        ),
+      0
+    );
+  }
+
+  // ─── Lap builder ─────────────────────────────────────────────────────────────
+
+  /**
+   * Summarize contiguous laps over the trackpoints.
+   *
+   * Each lap runs from its start to the next lap's start (the last lap ends at
+   * durationSec), so lap durations and distances always add up to the totals.
+   * `timerSec` is the lap's elapsed time less any pauses inside it.
+   * Tags every trackpoint with the index of the lap it falls in (`tp.lap`).
+   *
+   * @param  {Array} trackpoints
+   * @param  {Array<{startSec:number, name:string|null}>} starts  ascending
+   * @param  {Map<number, number>} maxWattsBySecond  raw per-second peak power
+   * @param  {number} durationSec
+   * @param  {Array<{startSec:number, endSec:number}>} pauses
+   * @returns {Array<{ index, name, startSec, endSec, durationSec, timerSec, distMeters, avgWatts, maxWatts, avgHr, avgCadence }>}
+   */
+  function buildLaps(
+    trackpoints,
+    starts,
+    maxWattsBySecond,
+    durationSec,
+    pauses
+  ) {
+    const laps = [];
+    let prevDist = 0;
+
+    starts.forEach((start, i) => {
+      const startSec = i === 0 ? 0 : start.startSec;
+      const isLast = i === starts.length - 1;
+      const endSec = isLast ? durationSec : starts[i + 1].startSec;
+
+      const tps = trackpoints.filter(
+        (t) => t.sec >= startSec && (isLast || t.sec < endSec)
+      );
+      const nonZero = tps.map((t) => t.watts).filter((w) => w > 0);
+      const hrs = tps.map((t) => t.hr).filter((v) => v !== null);
+      const cadences = tps.map((t) => t.cadence).filter((v) => v !== null);
+      const lastDist = tps.findLast((t) => t.distMeters !== null);
+      const endDist = lastDist ? lastDist.distMeters : prevDist;
+      for (const t of tps) t.lap = i;
+
+      laps.push({
+        index: i,
+        name: start.name,
+        startSec,
+        endSec,
+        durationSec: endSec - startSec,
+        timerSec: endSec - startSec - pausedSecondsIn(pauses, startSec, endSec),
+        distMeters: Math.max(0, endDist - prevDist),
+        avgWatts: nonZero.length ? avgInt(nonZero) : 0,
+        maxWatts: tps.reduce(
+          (m, t) => Math.max(m, maxWattsBySecond.get(t.sec) ?? t.watts),
+          0
+        ),
+        avgHr: hrs.length ? avgInt(hrs) : null,
+        avgCadence: cadences.length ? avgInt(cadences) : null,
+      });
+      prevDist = endDist;
+    });
+
+    return laps;
+  }
+
+  // ─── Sensor dropouts ─────────────────────────────────────────────────────────
+
+  /**
+   * Mark the usable samples of one sensor channel.
+   *
+   * Inside a real sensor stream, zeros and runs of PerfPro's no-sensor default
+   * lasting DROPOUT_MIN_MS or longer are dropouts. A zero while `isIdle(record)`
+   * (zero cadence with zero power — coasting) is a real reading of nothing and
+   * is neither usable nor a dropout.
+   *
+   * Sets `record[key + "Ok"]` and `record[key + "Dropout"]` on every record.
+   *
+   * @returns {Array<{ start: number, end: number }>}  dropout runs, as record indices
+   */
+  function markDropouts(records, key, defaultValue, isIdle) {
+    const okKey = `${key}Ok`;
+    const dropKey = `${key}Dropout`;
+
+    for (let i = 0; i < records.length; ) {
+      const value = records[i][key];
+      if (value === defaultValue) {
+        let j = i;
+        while (j + 1 < records.length && records[j + 1][key] === defaultValue) {
+          j++;
+        }
+        const long =
+          records[j].elapsedMs - records[i].elapsedMs >= DROPOUT_MIN_MS;
+        for (let k = i; k <= j; k++) {
+          records[k][okKey] = !long;
+          records[k][dropKey] = long;
+        }
+        i = j + 1;
+      } else {
+        records[i][okKey] = value !== 0;
+        records[i][dropKey] = value === 0 && !isIdle(records[i]);
+        i++;
+      }
+    }
+
+    const runs = [];
+    records.forEach((rec, i) => {
+      if (!rec[dropKey]) return;
+      const last = runs[runs.length - 1];
+      if (last && last.end === i - 1) last.end = i;
+      else runs.push({ start: i, end: i });
+    });
+    return runs;
+  }
+
+  /**
+   * Linearly fill missing `key` values whose valid neighbors are at most
+   * `maxGapSec` apart. Only stretches where `dropped(index)` holds for every
+   * missing point are filled — coasting zeros stay empty.
+   */
+  function fillShortGaps(trackpoints, key, dropped, maxGapSec) {
+    let prev = -1;
+    trackpoints.forEach((tp, i) => {
+      if (tp[key] === null) return;
+      if (prev !== -1 && i - prev > 1) {
+        const a = trackpoints[prev];
+        const span = tp.sec - a.sec;
+        let fill = span <= maxGapSec;
+        for (let k = prev + 1; k < i && fill; k++) fill = dropped(k);
+        for (let k = prev + 1; k < i && fill; k++) {
+          const t = (trackpoints[k].sec - a.sec) / span;
+          trackpoints[k][key] = Math.round(a[key] + (tp[key] - a[key]) * t);
+        }
+      }
+      prev = i;
+    });
+  }
+
+  /**
+   * One trackpoint per raw record, keeping its millisecond timestamp. A record
+   * that steps back in time (a few ms of jitter) can't be placed in order and
+   * is left out. Returns the trackpoints and which of them are sensor dropouts.
+   */
+  function nativeTrackpoints(records) {
+    const trackpoints = [];
+    const dropped = { cadence: new Set(), hr: new Set() };
+    let prevMs = -1;
+    for (const rec of records) {
+      if (rec.elapsedMs <= prevMs) continue;
+      prevMs = rec.elapsedMs;
+      if (rec.cadenceDropout) dropped.cadence.add(trackpoints.length);
+      if (rec.hrDropout) dropped.hr.add(trackpoints.length);
+      trackpoints.push({
+        sec: rec.elapsedMs / 1000,
+        ms: rec.elapsedMs,
+        watts: rec.watts,
+        cadence: rec.cadenceOk ? rec.cadence : null,
+        hr: rec.hrOk ? rec.hr : null,
+        distMeters: rec.distKm > 0 ? rec.distKm * 1000 : null,
+      });
+    }
+    return { trackpoints, dropped };
+  }
+
   // ─── Core parser ─────────────────────────────────────────────────────────────
 
   /**
    * Parse a .3dp ArrayBuffer and return a structured workout.
    *
+   * All `sec` values are elapsed (wall-clock) seconds from the start, pauses
+   * included; `stats.timerSec` and each lap's `timerSec` leave the pauses out.
+   *
+   * Trackpoints are averaged into whole seconds by default, which is what most
+   * platforms expect. With `nativeResolution` every raw record becomes a
+   * trackpoint with a fractional `sec` and its millisecond time `ms`; stats,
+   * pauses and lap boundaries are the same either way.
+   *
+   * Cadence and heart rate samples PerfPro wrote while a real sensor had
+   * dropped out are `null`; `interpolateGapsSec` fills dropouts whose valid
+   * neighbors are at most that many seconds apart. `stats.coverage` gives the
+   * percentage of records with a usable sample per channel.
+   *
+   * Throws a FormatError when the file isn't a .3dp file of a known version.
+   *
    * @param  {ArrayBuffer} arrayBuffer
+   * @param  {{ nativeResolution?: boolean, interpolateGapsSec?: number }} [options]
    * @returns {{
+   *   formatVersion: number,
    *   athleteName: string,
-   *   trackpoints: Array<{sec:number, watts:number, cadence:number|null, hr:number|null, distMeters:number|null}>,
-   *   stats: { durationSec, avgWatts, maxWatts, hasCadence, hasHR, recordCount, totalDistMeters }
+   *   workoutName: string|null,
+   *   resolution: "1s"|"native",
+   *   trackpoints: Array<{sec:number, ms?:number, watts:number, cadence:number|null, hr:number|null, distMeters:number|null, lap:number}>,
+   *   intervals: Array<{name, label, repeat, target:{startPct, endPct}, cadenceTarget, startSec, endSec}>,
+   *   plan: { name, ftpWatts, durationSec, segments: Array<{name, label, repeat, startSec, endSec, durationSec, startPct, endPct, cadenceTarget}> }|null,
+   *   laps: Array<{index, name, startSec, endSec, durationSec, timerSec, distMeters, avgWatts, maxWatts, avgHr, avgCadence}>,
+   *   pauses: Array<{startSec:number, endSec:number, source:"footer"|"clock"|"gap"|"stopped"}>,
+   *   metadata: { workoutName, riderWeightKg, ftpWatts, startedAt, recordCount, totalDurationSec, totalDistMeters, unknown },
+   *   warnings: Array<{code:string, message:string}>,
+   *   diagnostics: Array<{code:string, offset:number, recordIndex:number, message:string}>,
+   *   stats: { durationSec, timerSec, pausedSec, avgWatts, maxWatts, hasCadence, hasHR, coverage: {cadence, hr}, recordCount, totalDistMeters }
    * }}
    */
-  function parse3dp(arrayBuffer) {
+  function parse3dp(arrayBuffer, options = {}) {
     const bytes = new Uint8Array(arrayBuffer);
+    const { version: formatVersion, decoder } = selectDecoder(bytes);
+    const { recordStart, recordSize } = decoder;
 
-    if (bytes.length < RECORD_START + RECORD_SIZE) {
-      throw new Error("File is too small to be a valid .3dp file.");
+    if (bytes.length < recordStart + recordSize) {
+      throw new FormatError(
+        "too-small",
+        "File is too small to be a valid .3dp file."
+      );
     }
 
     const athleteName =
-      readNullTermString(bytes, HEADER_NAME_OFFSET, 64) || "Unknown";
-    const totalSlots = Math.floor((bytes.length - RECORD_START) / RECORD_SIZE);
+      readNullTermString(bytes, HEADER_NAME_OFFSET, HEADER_NAME_SIZE) ||
+      "Unknown";
+    const totalSlots = Math.floor((bytes.length - recordStart) / recordSize);
 
-    const wattsBySecond = new Map();
-    const cadenceBySecond = new Map();
-    const hrBySecond = new Map();
-    const distBySecond = new Map(); // cumulative km — keep the latest value per second
-    let validCount = 0;
-    let realCadence = 0;
-    let realHR = 0;
-    let maxRawWatts = 0;
+    const rawRecords = [];
+    const diagnostics = [];
+    const diagnose = (code, offset, recordIndex, message) =>
+      diagnostics.push({ code, offset, recordIndex, message });
+    let sentinelCount = 0;
     let prevMs = -1;
-    let lastValidMs = 0;
+    let prevDistKm = 0;
+    let footerOffset = -1;
 
     for (let i = 0; i < totalSlots; i++) {
-      const offset = RECORD_START + i * RECORD_SIZE;
-      if (!isDataRecord(bytes, offset)) continue;
+      const offset = recordStart + i * recordSize;
+      if (!decoder.isDataRecord(bytes, offset)) {
+        // Data records are contiguous; the first non-record slot starts the footer
+        if (footerOffset === -1) footerOffset = offset;
+        continue;
+      }
 
       // Read the embedded millisecond timestamp and reject corrupt sentinel records
       // (the final record(s) in the file often have a wildly out-of-range timestamp).
-      const ms = readUint32LE(bytes, offset + TIMESTAMP_MS_OFFSET);
+      const record = decoder.readRecord(bytes, offset);
+      const { ms, distKm } = record;
       if (prevMs !== -1 && ms - prevMs > MAX_DELTA_MS) {
+        diagnose(
+          "sentinel-record",
+          offset,
+          i,
+          `Timestamp jumps ${
+            ms - prevMs
+          } ms past the previous record — skipped as a sentinel.`
+        );
         prevMs = ms; // update so subsequent valid records aren't cascaded-away
+        sentinelCount++;
         continue;
       }
+      const prevRecord = rawRecords[rawRecords.length - 1];
+      if (prevRecord && ms < prevRecord.ms) {
+        diagnose(
+          "timestamp-backwards",
+          offset,
+          i,
+          `Timestamp ${ms} ms is ${
+            prevRecord.ms - ms
+          } ms earlier than the previous record.`
+        );
+      }
       prevMs = ms;
-      lastValidMs = ms;
-
-      validCount++;
-      // Watts are stored as a little-endian uint16: byte[4] is the low byte,
-      // byte[5] (which mirrors byte[1]) is the high byte, allowing values up to 511 W.
-      const watts =
-        bytes[offset + WATTS_OFFSET] | (bytes[offset + WATTS_OFFSET + 1] << 8);
-      const cadence = bytes[offset + CADENCE_OFFSET];
-      const hr = bytes[offset + HR_OFFSET];
-      const distKm = readFloat32LE(bytes, offset + DIST_KM_OFFSET);
-      const sec = Math.floor(ms / 1000);
+
+      if (!Number.isFinite(distKm) || distKm < 0) {
+        diagnose(
+          "invalid-float",
+          offset,
+          i,
+          `Distance reads ${distKm} km — ignored.`
+        );
+      } else if (distKm < prevDistKm) {
+        diagnose(
+          "distance-decreasing",
+          offset,
+          i,
+          `Cumulative distance drops from ${prevDistKm.toFixed(
+            3
+          )} km to ${distKm.toFixed(3)} km.`
+        );
+      }
+      if (Number.isFinite(distKm) && distKm >= 0) prevDistKm = distKm;
+
+      rawRecords.push({ index: i, offset, ...record });
+    }
+
+    const trailingBytes = (bytes.length - recordStart) % recordSize;
+    if (footerOffset === -1 && trailingBytes > 0) {
+      diagnose(
+        "truncated-record",
+        recordStart + totalSlots * recordSize,
+        totalSlots,
+        `File ends ${trailingBytes} bytes into a ${recordSize}-byte record — the partial record is ignored.`
+      );
+    }
+
+    if (rawRecords.length === 0) {
+      throw new FormatError(
+        "no-records",
+        "No valid data records found — this may not be a .3dp file."
+      );
+    }
+
+    const footer = parseFooter(
+      bytes,
+      footerOffset === -1 ? recordStart + totalSlots * recordSize : footerOffset
+    );
+    const {
+      records,
+      pauses: clockPauses,
+      dropped,
+      toElapsedMs,
+    } = resolvePauses(rawRecords, footer.pauses);
+    for (const rec of dropped) {
+      diagnose(
+        "recorded-while-paused",
+        rec.offset,
+        rec.index,
+        `Written while the ride was paused (timestamp ${rec.ms} ms) — dropped.`
+      );
+    }
+
+    // A channel counts as a real sensor when enough records carry non-default values
+    const validCount = records.length;
+    const realShare = (key, defaultValue) =>
+      records.filter((r) => r[key] !== defaultValue && r[key] !== 0).length /
+      validCount;
+    const hasCadence = realShare("cadence", CADENCE_DEFAULT) > SENSOR_THRESHOLD;
+    const hasHR = realShare("hr", HR_DEFAULT) > SENSOR_THRESHOLD;
+
+    // Dropouts inside a real stream become gaps; without a sensor, nothing is usable
+    const channels = [
+      {
+        key: "cadence",
+        label: "Cadence",
+        real: hasCadence,
+        defaultValue: CADENCE_DEFAULT,
+        unit: "rpm",
+        isIdle: (r) => r.watts === 0,
+      },
+      {
+        key: "hr",
+        label: "Heart rate",
+        real: hasHR,
+        defaultValue: HR_DEFAULT,
+        unit: "bpm",
+        isIdle: () => false,
+      },
+    ];
+    const coverage = {};
+    for (const ch of channels) {
+      if (!ch.real) {
+        for (const r of records)
+          r[`${ch.key}Ok`] = r[`${ch.key}Dropout`] = false;
+        coverage[ch.key] = 0;
+        continue;
+      }
+      for (const run of markDropouts(
+        records,
+        ch.key,
+        ch.defaultValue,
+        ch.isIdle
+      )) {
+        const first = records[run.start];
+        const seconds = (records[run.end].elapsedMs - first.elapsedMs) / 1000;
+        diagnose(
+          `${ch.key}-dropout`,
+          first.offset,
+          first.index,
+          `${ch.label} drops out for ${seconds.toFixed(1)} s (reads ${
+            first[ch.key]
+          } ${ch.unit}) — treated as missing.`
+        );
+      }
+      const ok = records.filter((r) => r[`${ch.key}Ok`]).length;
+      coverage[ch.key] = Math.round((ok / validCount) * 1000) / 10;
+    }
+    diagnostics.sort((a, b) => a.offset - b.offset);
+
+    const wattsBySecond = new Map();
+    const cadenceBySecond = new Map();
+    const hrBySecond = new Map();
+    const distBySecond = new Map(); // cumulative km — keep the latest value per second
+    const maxWattsBySecond = new Map(); // raw peak per second, for lap max power
+    const droppedSeconds = { cadence: new Set(), hr: new Set() };
+    let maxRawWatts = 0;
+    let prevMarker = -1;
+    const markerStarts = [0]; // seconds at which the segment marker changed
+
+    for (const rec of records) {
+      const { elapsedMs, watts, cadence, hr, distKm, marker } = rec;
+      const sec = Math.floor(elapsedMs / 1000);
+
+      if (prevMarker !== -1 && marker !== prevMarker) {
+        if (sec > markerStarts[markerStarts.length - 1]) markerStarts.push(sec);
+      }
+      prevMarker = marker;
 
       if (watts > maxRawWatts) maxRawWatts = watts;
-      if (cadence !== CADENCE_DEFAULT && cadence !== 0) realCadence++;
-      if (hr !== HR_DEFAULT && hr !== 0) realHR++;
 
       if (!wattsBySecond.has(sec)) wattsBySecond.set(sec, []);
       if (!cadenceBySecond.has(sec)) cadenceBySecond.set(sec, []);
       if (!hrBySecond.has(sec)) hrBySecond.set(sec, []);
 
       wattsBySecond.get(sec).push(watts);
-      cadenceBySecond.get(sec).push(cadence);
-      hrBySecond.get(sec).push(hr);
+      if (watts > (maxWattsBySecond.get(sec) ?? -1))
+        maxWattsBySecond.set(sec, watts);
+      // Only usable sensor samples are averaged
+      if (rec.cadenceOk) cadenceBySecond.get(sec).push(cadence);
+      if (rec.hrOk) hrBySecond.get(sec).push(hr);
+      if (rec.cadenceDropout) droppedSeconds.cadence.add(sec);
+      if (rec.hrDropout) droppedSeconds.hr.add(sec);
       // Cumulative distance: overwrite with the latest value in this second
       if (distKm > 0) distBySecond.set(sec, distKm);
     }
 
-    if (validCount === 0) {
-      throw new Error(
-        "No valid data records found — this may not be a .3dp file."
-      );
-    }
-
-    const hasCadence = realCadence / validCount > SENSOR_THRESHOLD;
-    const hasHR = realHR / validCount > SENSOR_THRESHOLD;
-
     const seconds = Array.from(wattsBySecond.keys()).sort((a, b) => a - b);
 
-    const trackpoints = seconds.map((sec) => {
+    const secondTrackpoints = seconds.map((sec) => {
       const w = avgInt(wattsBySecond.get(sec));
-      const c = hasCadence ? avgInt(cadenceBySecond.get(sec)) : null;
-      const h = hasHR ? avgInt(hrBySecond.get(sec)) : null;
+      const c = cadenceBySecond.get(sec);
+      const h = hrBySecond.get(sec);
       const d = distBySecond.has(sec) ? distBySecond.get(sec) * 1000 : null; // km → meters
       return {
         sec,
         watts: w,
-        cadence: c !== null && c !== 0 ? c : null,
-        hr: h !== null && h !== 0 ? h : null,
+        cadence: c.length ? avgInt(c) : null,
+        hr: h.length ? avgInt(h) : null,
         distMeters: d,
       };
     });
 
-    const allWatts = trackpoints.map((t) => t.watts).filter((w) => w > 0);
-    const durationSec = Math.floor(lastValidMs / 1000);
-    const lastDist = trackpoints.findLast((t) => t.distMeters !== null);
-    const totalDistMeters = lastDist ? lastDist.distMeters : 0;
+    const durationSec = Math.floor(
+      records[records.length - 1].elapsedMs / 1000
+    );
+    const knownPauses = clockPauses.map((p) => ({
+      startSec: Math.round(p.startMs / 1000),
+      endSec: Math.min(durationSec, Math.round(p.endMs / 1000)),
+      source: p.source,
+    }));
+    const pauses = knownPauses
+      .concat(findStoppedStretches(secondTrackpoints, knownPauses))
+      .filter((p) => p.endSec > p.startSec)
+      .sort((a, b) => a.startSec - b.startSec);
+    const pausedSec = pausedSecondsIn(pauses, 0, durationSec);
+
+    let trackpoints = secondTrackpoints;
+    let isDropped = {
+      cadence: (i) => droppedSeconds.cadence.has(secondTrackpoints[i].sec),
+      hr: (i) => droppedSeconds.hr.has(secondTrackpoints[i].sec),
+    };
+    if (options.nativeResolution) {
+      const native = nativeTrackpoints(records);
+      trackpoints = native.trackpoints;
+      isDropped = {
+        cadence: (i) => native.dropped.cadence.has(i),
+        hr: (i) => native.dropped.hr.has(i),
+      };
+    }
+    if (options.interpolateGapsSec > 0) {
+      for (const key of ["cadence", "hr"]) {
+        fillShortGaps(
+          trackpoints,
+          key,
+          isDropped[key],
+          options.interpolateGapsSec
+        );
+      }
+    }
+
+    const allWatts = secondTrackpoints.map((t) => t.watts).filter((w) => w > 0);
+    const lastDist = secondTrackpoints.findLast((t) => t.distMeters !== null);
+    const totalDistMeters = lastDist ? lastDist.distMeters : 0;
+
+    const stats = {
+      durationSec,
+      timerSec: durationSec - pausedSec,
+      pausedSec,
+      avgWatts: allWatts.length
+        ? Math.round(allWatts.reduce((s, v) => s + v, 0) / allWatts.length)
+        : 0,
+      maxWatts: maxRawWatts,
+      hasCadence,
+      hasHR,
+      coverage,
+      recordCount: validCount,
+      totalDistMeters,
+    };
+
+    // Footer segment times are on the workout clock; move them past any pauses
+    const { workoutName } = footer;
+    const toElapsedSec = (clockSec) =>
+      Math.round(toElapsedMs(clockSec * 1000) / 1000);
+    const intervals = footer.intervals.map((iv) => ({
+      ...iv,
+      startSec: toElapsedSec(iv.startSec),
+      endSec: toElapsedSec(iv.endSec),
+    }));
+
+    // Footer intervals become laps; without them, fall back to segment-marker changes
+    const lapStarts = intervals
+      .filter((iv) => iv.startSec < durationSec)
+      .map((iv) => ({ startSec: iv.startSec, name: intervalName(iv) }));
+    const laps = buildLaps(
+      trackpoints,
+      lapStarts.length
+        ? lapStarts
+        : markerStarts.map((startSec) => ({ startSec, name: null })),
+      maxWattsBySecond,
+      durationSec,
+      pauses
+    );
+
+    const metadata = { workoutName, ...decoder.readHeader(bytes) };
+    const warnings = checkHeaderTotals(metadata, {
+      recordCount: rawRecords.length + sentinelCount,
+      durationSec: Math.floor(rawRecords[rawRecords.length - 1].ms / 1000),
+      totalDistMeters,
+    });
+
+    return {
+      formatVersion,
+      athleteName,
+      workoutName,
+      resolution: options.nativeResolution ? "native" : "1s",
+      trackpoints,
+      intervals,
+      plan: buildPlan(footer, metadata),
+      laps,
+      pauses,
+      metadata,
+      warnings,
+      diagnostics,
+      stats,
+    };
+  }
+
+  // ─── .3dp builder ────────────────────────────────────────────────────────────
+
+  /**
+   * Write a workout back out as a version 2 .3dp file, so that
+   * `parse3dp(build3dp(workout))` gives the same workout back.
+   *
+   * Pauses that PerfPro's clock did not count (`footer` and `clock` pauses) are
+   * taken out of the record timestamps and listed in the footer; any other
+   * pause is left as a gap in the records. Pause boundaries are whole seconds,
+   * so a trackpoint inside one moves to its end. Missing sensor values are
+   * written as PerfPro writes them: the no-sensor default when the channel has
+   * no data at all, and 0 inside a real stream. Header bytes that aren't
+   * decoded are restored from `metadata.unknown` when present.
+   *
+   * @param  {{ athleteName?: string, workoutName?: string|null, trackpoints: Array,
+   *            intervals?: Array, pauses?: Array, metadata?: object }} workout
+   * @returns {Uint8Array}  binary .3dp file contents
+   */
+  function build3dp(workout) {
+    const { trackpoints } = workout;
+    const intervals = workout.intervals || [];
+    const metadata = workout.metadata || {};
+    const workoutName = workout.workoutName ?? metadata.workoutName ?? null;
+    const encoder = new TextEncoder();
+
+    // Workout-clock time of an elapsed time: pauses the clock skipped come off
+    const clockPauses = (workout.pauses || [])
+      .filter((p) => p.source === "footer" || p.source === "clock")
+      .map((p) => ({ startMs: p.startSec * 1000, endMs: p.endSec * 1000 }))
+      .sort((a, b) => a.startMs - b.startMs);
+    const toClockMs = (elapsedMs) => {
+      let clockMs = elapsedMs;
+      for (const p of clockPauses) {
+        if (elapsedMs >= p.endMs) clockMs -= p.endMs - p.startMs;
+        else if (elapsedMs >= p.startMs) clockMs -= elapsedMs - p.startMs;
+      }
+      return clockMs;
+    };
+
+    const hasCadence = trackpoints.some((tp) => tp.cadence != null);
+    const hasHR = trackpoints.some((tp) => tp.hr != null);
+    const sensorValue = (value, real, defaultValue) =>
+      value != null ? value : real ? 0 : defaultValue;
+    const byte = (v) => Math.max(0, Math.min(0xff, Math.round(v)));
+
+    // ── Footer ───────────────────────────────────────────────────────────────
+    const footer = [];
+    const f32 = new DataView(new ArrayBuffer(4));
+    const put = {
+      u8: (v) => footer.push(v & 0xff),
+      u16: (v) => footer.push(v & 0xff, (v >>> 8) & 0xff),
+      u32: (v) =>
+        footer.push(v & 0xff, (v >>> 8) & 0xff, (v >>> 16) & 0xff, v >>> 24),
+      f32: (v) => {
+        f32.setFloat32(0, v, true);
+        for (let i = 0; i < 4; i++) footer.push(f32.getUint8(i));
+      },
+      text: (s) => footer.push(...encoder.encode(s)),
+      // Length byte (including the null terminator), then the string
+      lengthPrefixed: (s) => {
+        const text = encoder.encode(s).subarray(0, 254);
+        footer.push(text.length + 1, ...text, 0);
+      },
+    };
+
+    put.text(FOOTER_WORKOUT_TAG);
+    put.lengthPrefixed(workoutName || "");
+    footer.push(...FOOTER_SEGMENT_COUNT_PREFIX);
+    put.u32(intervals.length);
+    for (const iv of intervals) {
+      put.f32(toClockMs(iv.startSec * 1000) / 60000);
+      put.f32(toClockMs(iv.endSec * 1000) / 60000);
+      put.u16(iv.target ? iv.target.startPct : 0);
+      put.u16(iv.target ? iv.target.endPct : 0);
+      put.u8(iv.cadenceTarget || 0);
+      footer.push(...FOOTER_SEGMENT_FLAGS);
+      put.lengthPrefixed(
+        iv.label ||
+          (iv.repeat
+            ? `${iv.name}|${iv.repeat.index} of ${iv.repeat.count}`
+            : iv.name || "")
+      );
+    }
+    if (clockPauses.length) {
+      put.text(FOOTER_PAUSE_TAG);
+      put.u32(clockPauses.length);
+      for (const p of clockPauses) {
+        // Just before the first record after the pause, whose clock time is
+        // the pause start, so that record counts as resumed
+        put.u32(Math.max(0, toClockMs(p.startMs) - 1));
+        put.u32(p.endMs - p.startMs);
+      }
+    }
+
+    // The parser finds the footer at the first slot that isn't a record, so it
+    // must fill at least one slot
+    while (footer.length < RECORD_SIZE) footer.push(0);
+
+    // ── Header and records ───────────────────────────────────────────────────
+    const out = new Uint8Array(
+      RECORD_START + trackpoints.length * RECORD_SIZE + footer.length
+    );
+    const view = new DataView(out.buffer);
+
+    view.setUint16(0, MAGIC, true);
+    view.setUint16(VERSION_OFFSET, 2, true);
+    out.set(encoder.encode(IDENTIFIER), IDENTIFIER_OFFSET);
+    out.set(
+      encoder
+        .encode(workout.athleteName || "")
+        .subarray(0, HEADER_NAME_SIZE - 1),
+      HEADER_NAME_OFFSET
+    );
+
+    out.set(encoder.encode(HEADER_MODE), HEADER_MODE_OFFSET);
+    for (const { offset, hex } of metadata.unknown || []) {
+      hex.split(" ").forEach((b, i) => (out[offset + i] = parseInt(b, 16)));
+    }
+    if (metadata.riderWeightKg) {
+      view.setFloat32(HEADER_WEIGHT_KG_OFFSET, metadata.riderWeightKg, true);
+    }
+    if (metadata.ftpWatts) {
+      view.setUint16(HEADER_FTP_OFFSET, metadata.ftpWatts, true);
+    }
+    if (metadata.startedAt) {
+      const d = metadata.startedAt;
+      view.setUint16(HEADER_YEAR_OFFSET, d.getFullYear(), true);
+      out.set(
+        [d.getMonth() + 1, d.getDate(), d.getHours(), d.getMinutes()],
+        HEADER_DATE_OFFSET
+      );
+    }
+
+    let distKm = 0;
+    let lastClockMs = 0;
+    trackpoints.forEach((tp, i) => {
+      const offset = RECORD_START + i * RECORD_SIZE;
+      const watts = Math.max(0, Math.min(0xffff, Math.round(tp.watts || 0)));
+      const cadence = byte(
+        sensorValue(tp.cadence, hasCadence, CADENCE_DEFAULT)
+      );
+      const hr = byte(sensorValue(tp.hr, hasHR, HR_DEFAULT));
+      const elapsedMs = tp.ms ?? Math.round(tp.sec * 1000);
+      lastClockMs = Math.max(0, Math.round(toClockMs(elapsedMs)));
+      if (tp.distMeters != null) distKm = tp.distMeters / 1000;
+
+      // PerfPro starts the marker at 0x83; any change starts a new lap
+      out[offset + SEGMENT_MARKER_OFFSET] =
+        (SEGMENT_MARKER_FIRST + (tp.lap || 0)) & 0xff;
+      out[offset + 1] = watts >>> 8;
+      out[offset + 2] = 0x01;
+      out[offset + 3] = 0x00;
+      view.setUint16(offset + WATTS_OFFSET, watts, true);
+      view.setUint32(offset + TIMESTAMP_MS_OFFSET, lastClockMs, true);
+      out[offset + CADENCE_OFFSET] = out[offset + CADENCE_OFFSET + 1] = cadence;
+      view.setFloat32(offset + DIST_KM_OFFSET, distKm, true);
+      out[offset + HR_OFFSET] = out[offset + HR_OFFSET + 1] = hr;
+    });
+
+    view.setUint32(HEADER_RECORD_COUNT_COPY_OFFSET, trackpoints.length, true);
+    view.setUint32(HEADER_RECORD_COUNT_OFFSET, trackpoints.length, true);
+    view.setUint32(HEADER_TOTAL_MS_OFFSET, lastClockMs, true);
+    view.setFloat32(HEADER_TOTAL_DIST_OFFSET, distKm * 1000, true);
+
+    out.set(footer, RECORD_START + trackpoints.length * RECORD_SIZE);
+    return out;
+  }
+
+  // ─── Power analysis ──────────────────────────────────────────────────────────
+
+  /**
+   * Mechanical work in joules: each trackpoint's power held until the next
+   * one, except across a pause.
+   */
+  function workJoules(trackpoints, pauses) {
+    let joules = 0;
+    for (let i = 1; i < trackpoints.length; i++) {
+      const prev = trackpoints[i - 1];
+      if (!crossesPause(pauses, prev.sec, trackpoints[i].sec)) {
+        joules += prev.watts * (trackpoints[i].sec - prev.sec);
+      }
+    }
+    return joules;
+  }
+
+  /**
+   * Calories burned for `joules` of work. The body is ~24% efficient and a
+   * kilocalorie is 4.184 kJ, so the two nearly cancel: kcal ≈ kJ of work.
+   */
+  function workCalories(joules) {
+    return Math.round(joules / 1000);
+  }
+
+  /**
+   * Normalized power: the fourth-power mean of the 30-second rolling average
+   * of power, over one value per second with paused time left out. Null for
+   * less than 30 seconds of riding.
+   */
+  function normalizedPower(trackpoints, pauses) {
+    // Native-resolution samples are averaged into whole seconds first
+    const perSecond = [];
+    let second = null;
+    let sum = 0;
+    let n = 0;
+    for (const tp of trackpoints) {
+      if (pauses.some((p) => tp.sec >= p.startSec && tp.sec < p.endSec)) {
+        continue;
+      }
+      if (Math.floor(tp.sec) !== second) {
+        if (n) perSecond.push(sum / n);
+        second = Math.floor(tp.sec);
+        sum = 0;
+        n = 0;
+      }
+      sum += tp.watts;
+      n++;
+    }
+    if (n) perSecond.push(sum / n);
+    if (perSecond.length < 30) return null;
+
+    let rolling = 0;
+    let total = 0;
+    for (let i = 0; i < perSecond.length; i++) {
+      rolling += perSecond[i];
+      if (i >= 30) rolling -= perSecond[i - 30];
+      if (i >= 29) total += (rolling / 30) ** 4;
+    }
+    return Math.round((total / (perSecond.length - 29)) ** 0.25);
+  }
+
+  /**
+   * Training load of some trackpoints ridden for `timerSec`: normalized
+   * power, variability index (NP over the average power including zeros),
+   * intensity factor and TSS against `ftpWatts`, and the work done in kJ.
+   * Values that can't be computed — IF and TSS without an FTP, everything
+   * power-based under 30 s — are null.
+   *
+   * @returns {{ normalizedPower: number|null, variabilityIndex: number|null,
+   *             intensityFactor: number|null, trainingStressScore: number|null,
+   *             workKj: number, ftpWatts: number|null }}
+   */
+  function powerMetrics(trackpoints, pauses, timerSec, ftpWatts) {
+    const np = normalizedPower(trackpoints, pauses);
+    const joules = workJoules(trackpoints, pauses);
+    const avgWatts = timerSec > 0 ? joules / timerSec : 0;
+    const ftp = ftpWatts > 0 ? ftpWatts : null;
+    const round = (value, places) =>
+      Math.round(value * 10 ** places) / 10 ** places;
+    return {
+      normalizedPower: np,
+      variabilityIndex:
+        np !== null && avgWatts > 0 ? round(np / avgWatts, 2) : null,
+      intensityFactor: np !== null && ftp ? round(np / ftp, 2) : null,
+      // TSS = hours × IF² × 100, with the unrounded IF
+      trainingStressScore:
+        np !== null && ftp
+          ? round((timerSec / 3600) * (np / ftp) ** 2 * 100, 1)
+          : null,
+      workKj: Math.round(joules / 1000),
+      ftpWatts: ftp,
+    };
+  }
+
+  /**
+   * Normalized power, variability index, intensity factor, TSS and work for a
+   * whole ride, over its moving time. The FTP is `options.ftpWatts` when
+   * given, otherwise the one PerfPro stored in the file header.
+   *
+   * @param  {{ trackpoints: Array, pauses?: Array, stats: object,
+   *            metadata?: object }} workout
+   * @param  {{ ftpWatts?: number|null }} [options]
+   * @returns {object}  see powerMetrics
+   */
+  function analyzePower(workout, options = {}) {
+    const { stats } = workout;
+    return powerMetrics(
+      workout.trackpoints,
+      workout.pauses || [],
+      stats.timerSec ?? stats.durationSec,
+      options.ftpWatts || workout.metadata?.ftpWatts
+    );
+  }
+
+  /**
+   * Power as one value per whole second from 0 to the last trackpoint:
+   * native-resolution samples are averaged, and seconds without a trackpoint
+   * (pauses) are zero.
+   */
+  function wattsPerSecond(trackpoints) {
+    const lastSec = trackpoints.length
+      ? Math.floor(trackpoints[trackpoints.length - 1].sec)
+      : -1;
+    const sums = new Array(lastSec + 1).fill(0);
+    const counts = new Array(lastSec + 1).fill(0);
+    for (const tp of trackpoints) {
+      const sec = Math.floor(tp.sec);
+      sums[sec] += tp.watts;
+      counts[sec]++;
+    }
+    return sums.map((sum, sec) => (counts[sec] ? sum / counts[sec] : 0));
+  }
+
+  // Durations of the mean-maximal power curve: 1 s to 60 min
+  const MEAN_MAX_DURATIONS = [1, 5, 30, 60, 300, 600, 1200, 3600];
+
+  /**
+   * Mean-maximal power: the best average power held for each of
+   * MEAN_MAX_DURATIONS, and where in the ride it was.
+   *
+   * Power is taken one value per second (see wattsPerSecond). Durations
+   * longer than the ride have null watts.
+   *
+   * @param  {Array<{ sec: number, watts: number }>} trackpoints
+   * @returns {Array<{ durationSec: number, watts: number|null,
+   *                   startSec: number|null, endSec: number|null }>}
+   */
+  function computeMeanMax(trackpoints) {
+    const watts = wattsPerSecond(trackpoints);
+    // prefix[i] = total of the first i per-second values
+    const prefix = [0];
+    watts.forEach((w, sec) => prefix.push(prefix[sec] + w));
+
+    return MEAN_MAX_DURATIONS.map((durationSec) => {
+      let best = null;
+      let bestStart = null;
+      for (let start = 0; start + durationSec <= watts.length; start++) {
+        const total = prefix[start + durationSec] - prefix[start];
+        if (best === null || total > best) {
+          best = total;
+          bestStart = start;
+        }
+      }
+      return {
+        durationSec,
+        watts: best === null ? null : Math.round(best / durationSec),
+        startSec: bestStart,
+        endSec: bestStart === null ? null : bestStart + durationSec,
+      };
+    });
+  }
+
+  // ─── Training zones ──────────────────────────────────────────────────────────
+
+  // Zone presets: each zone runs up to `upToPct` percent of the reference
+  // value (FTP, LTHR or max HR); the last one has no upper bound
+  const ZONE_PRESETS = {
+    // Coggan's seven power zones, in percent of FTP
+    power: [
+      { name: "Active Recovery", upToPct: 55 },
+      { name: "Endurance", upToPct: 75 },
+      { name: "Tempo", upToPct: 90 },
+      { name: "Threshold", upToPct: 105 },
+      { name: "VO2max", upToPct: 120 },
+      { name: "Anaerobic", upToPct: 150 },
+      { name: "Neuromuscular", upToPct: null },
+    ],
+    // Coggan's heart rate zones, in percent of lactate threshold HR
+    hrLthr: [
+      { name: "Recovery", upToPct: 68 },
+      { name: "Endurance", upToPct: 83 },
+      { name: "Tempo", upToPct: 94 },
+      { name: "Threshold", upToPct: 105 },
+      { name: "VO2max", upToPct: null },
+    ],
+    // Five zones in percent of maximum HR
+    hrMax: [
+      { name: "Very Light", upToPct: 60 },
+      { name: "Light", upToPct: 70 },
+      { name: "Moderate", upToPct: 80 },
+      { name: "Hard", upToPct: 90 },
+      { name: "Maximum", upToPct: null },
+    ],
+  };
+
+  /**
+   * A fresh copy of a zone preset: "power", "hrLthr" or "hrMax".
+   *
+   * @param  {"power"|"hrLthr"|"hrMax"} kind
+   * @returns {Array<{ name: string, upToPct: number|null }>}
+   */
+  function defaultZones(kind) {
+    if (!ZONE_PRESETS[kind]) throw new Error(`Unknown zone preset "${kind}".`);
+    return ZONE_PRESETS[kind].map((zone) => ({ ...zone }));
+  }
+
+  /**
+   * Time spent in each zone of one channel. A trackpoint's value holds until
+   * the next trackpoint, except across a pause; trackpoints without a value
+   * (a dropped heart rate) count toward no zone.
+   *
+   * `minValue`/`maxValue` are each zone's bounds in watts or bpm — a value
+   * belongs to the first zone whose `maxValue` it doesn't exceed. Each zone
+   * must end above the one before it, and only the last may be open-ended.
+   *
+   * @param  {Array<object>} trackpoints
+   * @param  {"watts"|"hr"} key
+   * @param  {Array<{ name: string, upToPct: number|null }>} zones
+   * @param  {number} reference  FTP, LTHR or max HR the percentages are of
+   * @param  {Array<object>} [pauses]
+   * @returns {Array<{ name: string, minValue: number, maxValue: number|null,
+   *                   seconds: number, percent: number }>}
+   */
+  function timeInZones(trackpoints, key, zones, reference, pauses = []) {
+    zones.forEach((zone, i) => {
+      const prev = zones[i - 1];
+      if (!prev) return;
+      if (prev.upToPct === null) {
+        throw new Error(
+          `Only the last zone can be open-ended, not "${prev.name}".`
+        );
+      }
+      if (zone.upToPct !== null && zone.upToPct <= prev.upToPct) {
+        throw new Error(
+          `Zone "${zone.name}" must end above "${prev.name}" (${prev.upToPct}%).`
+        );
+      }
+    });
+    const bounded = zones.map((zone, i) => ({
+      name: zone.name,
+      minValue:
+        i === 0 ? 0 : Math.round((zones[i - 1].upToPct * reference) / 100) + 1,
+      maxValue:
+        zone.upToPct === null
+          ? null
+          : Math.round((zone.upToPct * reference) / 100),
+      seconds: 0,
+    }));
+    for (let i = 0; i + 1 < trackpoints.length; i++) {
+      const tp = trackpoints[i];
+      const next = trackpoints[i + 1];
+      if (tp[key] === null || crossesPause(pauses, tp.sec, next.sec)) continue;
+      const zone =
+        bounded.find((z) => z.maxValue === null || tp[key] <= z.maxValue) ||
+        bounded[bounded.length - 1];
+      zone.seconds += next.sec - tp.sec;
+    }
+    const total = bounded.reduce((sum, z) => sum + z.seconds, 0);
+    return bounded.map((zone) => ({
+      ...zone,
+      seconds: Math.round(zone.seconds),
+      percent: total > 0 ? Math.round((zone.seconds / total) * 1000) / 10 : 0,
+    }));
+  }
+
+  // ─── Interval detection ──────────────────────────────────────────────────────
+
+  // Defaults for detectIntervals
+  const INTERVAL_SMOOTH_SEC = 10; // rolling average the threshold is applied to
+  const INTERVAL_MIN_EFFORT_SEC = 20; // shorter efforts are dropped
+  const INTERVAL_MIN_RECOVERY_SEC = 15; // shorter dips don't split an effort
+  const INTERVAL_FTP_FRACTION = 0.88; // effort threshold with an FTP…
+  const INTERVAL_AVG_FRACTION = 1.15; // …or without one, of average power
+
+  /**
+   * Find work/rest blocks in the power trace, for rides whose .3dp has no
+   * usable footer or segment markers.
+   *
+   * Seconds whose INTERVAL_SMOOTH_SEC rolling average reaches the threshold
+   * are effort. Effort runs closer together than `minRecoverySec` merge,
+   * runs shorter than `minEffortSec` are dropped, and each edge is then moved
+   * to the nearby change point — the second with the largest power step
+   * between the half-windows before and after it. The gaps between efforts
+   * are the recoveries.
+   *
+   * The threshold is `options.thresholdWatts`, else INTERVAL_FTP_FRACTION of
+   * the FTP (`options.ftpWatts` or the file's), else INTERVAL_AVG_FRACTION of
+   * the average power.
+   *
+   * @param  {{ trackpoints: Array, stats: object, metadata?: object }} workout
+   * @param  {{ thresholdWatts?: number, ftpWatts?: number,
+   *            minEffortSec?: number, minRecoverySec?: number }} [options]
+   * @returns {Array<{ kind: "effort"|"recovery", startSec: number,
+   *                   endSec: number, durationSec: number, avgWatts: number,
+   *                   maxWatts: number, avgHr: number|null }>}
+   */
+  function detectIntervals(workout, options = {}) {
+    const { trackpoints, stats } = workout;
+    const minEffortSec = options.minEffortSec ?? INTERVAL_MIN_EFFORT_SEC;
+    const minRecoverySec = options.minRecoverySec ?? INTERVAL_MIN_RECOVERY_SEC;
+    const ftpWatts = options.ftpWatts || workout.metadata?.ftpWatts;
+    const threshold =
+      options.thresholdWatts ||
+      (ftpWatts
+        ? ftpWatts * INTERVAL_FTP_FRACTION
+        : stats.avgWatts * INTERVAL_AVG_FRACTION);
+
+    const watts = wattsPerSecond(trackpoints);
+    const prefix = [0];
+    watts.forEach((w, sec) => prefix.push(prefix[sec] + w));
+    const mean = (from, to) => {
+      const a = Math.max(0, from);
+      const b = Math.min(watts.length, to);
+      return b > a ? (prefix[b] - prefix[a]) / (b - a) : 0;
+    };
+    const half = Math.floor(INTERVAL_SMOOTH_SEC / 2);
+
+    // Runs of seconds whose centred rolling average reaches the threshold
+    let runs = [];
+    let runStart = null;
+    for (let sec = 0; sec <= watts.length; sec++) {
+      const hard =
+        sec < watts.length &&
+        mean(sec - half, sec - half + INTERVAL_SMOOTH_SEC) >= threshold;
+      if (hard && runStart === null) runStart = sec;
+      if (!hard && runStart !== null) {
+        runs.push({ startSec: runStart, endSec: sec });
+        runStart = null;
+      }
+    }
+    runs = runs.reduce((merged, run) => {
+      const prev = merged[merged.length - 1];
+      if (prev && run.startSec - prev.endSec < minRecoverySec) {
+        prev.endSec = run.endSec;
+      } else merged.push(run);
+      return merged;
+    }, []);
+
+    // Move each edge to the strongest power step within half a window of it
+    const changePoint = (sec, rising) => {
+      let best = sec;
+      let bestStep = -Infinity;
+      for (
+        let t = sec - INTERVAL_SMOOTH_SEC;
+        t <= sec + INTERVAL_SMOOTH_SEC;
+        t++
+      ) {
+        if (t <= 0 || t >= watts.length) continue;
+        const step = mean(t, t + half) - mean(t - half, t);
+        const signed = rising ? step : -step;
+        if (signed > bestStep) {
+          bestStep = signed;
+          best = t;
+        }
+      }
+      return best;
+    };
+    const efforts = runs
+      .map((run) => ({
+        startSec: changePoint(run.startSec, true),
+        endSec: changePoint(run.endSec, false),
+      }))
+      .filter((run) => run.endSec - run.startSec >= minEffortSec);
+
+    const describe = (kind, startSec, endSec) => {
+      const points = trackpoints.filter(
+        (t) => t.sec >= startSec && t.sec < endSec
+      );
+      const hrs = points.map((t) => t.hr).filter((v) => v !== null);
+      return {
+        kind,
+        startSec,
+        endSec,
+        durationSec: endSec - startSec,
+        avgWatts: Math.round(mean(startSec, endSec)),
+        maxWatts: points.reduce((m, t) => Math.max(m, t.watts), 0),
+        avgHr: hrs.length ? avgInt(hrs) : null,
+      };
+    };
+    const intervals = [];
+    efforts.forEach((effort, i) => {
+      const prev = efforts[i - 1];
+      if (prev && effort.startSec > prev.endSec) {
+        intervals.push(describe("recovery", prev.endSec, effort.startSec));
+      }
+      intervals.push(describe("effort", effort.startSec, effort.endSec));
+    });
+    return intervals;
+  }
+
+  /**
+   * The workout with its laps replaced by detected intervals: a lap per
+   * effort and recovery, plus a warm-up and cool-down lap for the time before
+   * the first and after the last. Trackpoints are copied, so the original
+   * workout keeps its laps.
+   *
+   * Lap maxima come from the trackpoints — parse3dp's raw per-second peaks
+   * are no longer at hand.
+   *
+   * @param  {object} workout
+   * @param  {Array<object>} intervals  from detectIntervals
+   * @returns {object}
+   */
+  function intervalLaps(workout, intervals) {
+    const { stats } = workout;
+    const trackpoints = workout.trackpoints.map((tp) => ({ ...tp }));
+    const count = { effort: 0, recovery: 0 };
+    const starts = intervals.map((iv) => ({
+      startSec: iv.startSec,
+      name: `${iv.kind === "effort" ? "Effort" : "Recovery"} ${++count[
+        iv.kind
+      ]}`,
+    }));
+    if (!starts.length || starts[0].startSec > 0) {
+      starts.unshift({ startSec: 0, name: "Warm-up" });
+    }
+    const last = intervals[intervals.length - 1];
+    if (last && last.endSec < stats.durationSec) {
+      starts.push({ startSec: last.endSec, name: "Cool-down" });
+    }
+    const laps = buildLaps(
+      trackpoints,
+      starts,
+      new Map(),
+      stats.durationSec,
+      workout.pauses || []
+    );
+    return { ...workout, trackpoints, laps };
+  }
+
+  // ─── Workout compliance ──────────────────────────────────────────────────────
+
+  // Power within this percentage of the target counts as on target
+  const COMPLIANCE_TOLERANCE_PCT = 5;
+
+  /** Lap name of a footer interval, with its place in a repeat block. */
+  function intervalName(iv) {
+    return iv.repeat
+      ? `${iv.name} (${iv.repeat.index} of ${iv.repeat.count})`
+      : iv.name;
+  }
+
+  /**
+   * Planned-vs-actual report for a structured workout: each footer interval
+   * as ridden, paired with its ERG target at the FTP (`options.ftpWatts`, else
+   * the file's).
+   *
+   * A segment's compliance is its average power as a percentage of its
+   * average target, ramps included. A second is above or below target when
+   * power is more than `tolerancePct` off that second's target; paused
+   * seconds don't count. The overall score is TrainingPeaks-style: each
+   * segment scores 100 less its compliance's distance from 100 %, weighted
+   * by the seconds ridden.
+   *
+   * Null without footer intervals or an FTP.
+   *
+   * @param  {{ trackpoints: Array, intervals?: Array, pauses?: Array,
+   *            stats: object, metadata?: object }} workout
+   * @param  {{ ftpWatts?: number, tolerancePct?: number }} [options]
+   * @returns {{ ftpWatts: number, tolerancePct: number, score: number,
+   *             secondsAbove: number, secondsBelow: number,
+   *             segments: Array<{ name, startSec, endSec, durationSec,
+   *             targetWatts, targetStartWatts, targetEndWatts, avgWatts,
+   *             compliancePct, secondsAbove, secondsBelow }> }|null}
+   */
+  function planCompliance(workout, options = {}) {
+    const { stats } = workout;
+    const ftpWatts = options.ftpWatts || workout.metadata?.ftpWatts;
+    const tolerancePct = options.tolerancePct ?? COMPLIANCE_TOLERANCE_PCT;
+    const pauses = workout.pauses || [];
+    const planned = (workout.intervals || []).filter(
+      (iv) => iv.endSec > iv.startSec && iv.startSec < stats.durationSec
+    );
+    if (!ftpWatts || !planned.length) return null;
+
+    const watts = wattsPerSecond(workout.trackpoints);
+    const paused = (sec) =>
+      pauses.some((p) => sec >= p.startSec && sec < p.endSec);
+
+    let scoreSum = 0;
+    let scoreSeconds = 0;
+    const segments = planned.map((iv) => {
+      const { startPct, endPct } = iv.target;
+      const targetAt = (sec) =>
+        (ftpWatts *
+          (startPct +
+            ((endPct - startPct) * (sec - iv.startSec)) /
+              (iv.endSec - iv.startSec))) /
+        100;
+      const endSec = Math.min(iv.endSec, stats.durationSec);
+
+      let seconds = 0;
+      let targetSum = 0;
+      let actualSum = 0;
+      let secondsAbove = 0;
+      let secondsBelow = 0;
+      for (let sec = iv.startSec; sec < endSec && sec < watts.length; sec++) {
+        if (paused(sec)) continue;
+        const target = targetAt(sec + 0.5);
+        const band = (target * tolerancePct) / 100;
+        seconds++;
+        targetSum += target;
+        actualSum += watts[sec];
+        if (watts[sec] > target + band) secondsAbove++;
+        else if (watts[sec] < target - band) secondsBelow++;
+      }
+
+      const ratio = targetSum > 0 ? actualSum / targetSum : null;
+      if (ratio !== null) {
+        scoreSum += seconds * Math.max(0, 100 - Math.abs(ratio * 100 - 100));
+        scoreSeconds += seconds;
+      }
+      return {
+        name: intervalName(iv),
+        startSec: iv.startSec,
+        endSec,
+        durationSec: endSec - iv.startSec,
+        targetWatts: seconds ? Math.round(targetSum / seconds) : null,
+        targetStartWatts: Math.round((ftpWatts * startPct) / 100),
+        targetEndWatts: Math.round((ftpWatts * endPct) / 100),
+        avgWatts: seconds ? Math.round(actualSum / seconds) : null,
+        compliancePct: ratio === null ? null : Math.round(ratio * 100),
+        secondsAbove,
+        secondsBelow,
+      };
+    });
+
+    return {
+      ftpWatts,
+      tolerancePct,
+      score: scoreSeconds ? Math.round(scoreSum / scoreSeconds) : null,
+      secondsAbove: segments.reduce((sum, seg) => sum + seg.secondsAbove, 0),
+      secondsBelow: segments.reduce((sum, seg) => sum + seg.secondsBelow, 0),
+      segments,
+    };
+  }
+
+  /** planCompliance as plain text, one line per segment. */
+  function complianceText(report) {
+    const clock = (sec) =>
+      `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, "0")}`;
+    const target = (seg) =>
+      seg.targetStartWatts === seg.targetEndWatts
+        ? `${seg.targetWatts} W`
+        : `${seg.targetStartWatts}-${seg.targetEndWatts} W`;
+    const lines = report.segments
+      .filter((seg) => seg.avgWatts !== null)
+      .map(
+        (seg) =>
+          `${clock(seg.startSec)} ${seg.name}: target ${target(seg)}, ` +
+          `actual ${seg.avgWatts} W` +
+          (seg.compliancePct === null ? "" : ` (${seg.compliancePct}%)`) +
+          `, ${clock(seg.secondsAbove)} above, ${clock(seg.secondsBelow)} below`
+      );
+    return [
+      `Planned vs actual at FTP ${report.ftpWatts} W: ` +
+        (report.score === null ? "no targets" : `${report.score}% compliance`),
+      ...lines,
+    ].join("\n");
+  }
+
+  // ─── TCX builder ─────────────────────────────────────────────────────────────
+
+  // How exported files identify the software that wrote them
+  const CONVERTER_NAME = "PerfPro Converter";
+  const CONVERTER_VERSION = { major: 1, minor: 0 };
+  // Namespace of the per-lap training load TCX extension
+  const TRAINING_LOAD_NS =
+    "https://github.com/tomarra/perfpro-converter/xmlschemas/TrainingLoad/v1";
+
+  function escapeXml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  /**
+   * Laps to export: the workout's own laps, or a single whole-ride lap built
+   * from `stats` for workouts that carry no lap structure.
+   */
+  function exportLaps(workout) {
+    if (workout.laps && workout.laps.length) return workout.laps;
+    const { stats } = workout;
+    return [
+      {
+        index: 0,
+        name: null,
+        startSec: 0,
+        endSec: stats.durationSec,
+        durationSec: stats.durationSec,
+        timerSec: stats.timerSec ?? stats.durationSec,
+        distMeters: stats.totalDistMeters,
+        avgWatts: stats.avgWatts,
+        maxWatts: stats.maxWatts,
+        avgHr: null,
+        avgCadence: null,
+      },
+    ];
+  }
+
+  /** Trackpoints inside a lap — the last lap keeps everything to the end of the ride. */
+  function lapTrackpoints(trackpoints, lap, isLast) {
+    return trackpoints.filter(
+      (t) => t.sec >= lap.startSec && (isLast || t.sec < lap.endSec)
+    );
+  }
+
+  /** Does a pause start between two consecutive trackpoints? */
+  function crossesPause(pauses, prevSec, sec) {
+    return pauses.some((p) => prevSec <= p.startSec && sec > p.startSec);
+  }
+
+  /**
+   * Instantaneous speed of each trackpoint in m/s, from the distance covered
+   * since the previous trackpoint with a distance. `null` for the first one,
+   * the first one after a pause and trackpoints without a distance.
+   */
+  function sampleSpeeds(trackpoints, pauses) {
+    let prev = null;
+    return trackpoints.map((tp) => {
+      if (tp.distMeters === null) return null;
+      let mps = null;
+      const dt = prev ? tp.sec - prev.sec : 0;
+      if (dt > 0 && !crossesPause(pauses, prev.sec, tp.sec)) {
+        mps = Math.max(0, tp.distMeters - prev.distMeters) / dt;
+      }
+      prev = tp;
+      return mps;
+    });
+  }
+
+  /**
+   * Heart rate and cadence averages and maxima and the top speed over some
+   * trackpoints (a lap or the whole ride). `speeds` are their sampleSpeeds.
+   * Each value is null when its channel has no samples.
+   */
+  function channelSummary(points, speeds) {
+    const summarize = (values) => {
+      const v = values.filter((x) => x !== null);
+      return v.length ? [avgInt(v), Math.max(...v)] : [null, null];
+    };
+    const [avgHr, maxHr] = summarize(points.map((t) => t.hr));
+    const [avgCadence, maxCadence] = summarize(points.map((t) => t.cadence));
+    const [, maxSpeed] = summarize(speeds);
+    return { avgHr, maxHr, avgCadence, maxCadence, maxSpeed };
+  }
+
+  /**
+   * Split trackpoints into track segments (TCX <Track>, GPX <trkseg>) — a new
+   * one starts at the first trackpoint past the start of each pause, which is
+   * how Garmin devices record a stop.
+   */
+  function splitAtPauses(trackpoints, pauses) {
+    const segments = [];
+    let prevSec = -Infinity;
+    for (const tp of trackpoints) {
+      const resumed = crossesPause(pauses, prevSec, tp.sec);
+      if (!segments.length || resumed) segments.push([]);
+      segments[segments.length - 1].push(tp);
+      prevSec = tp.sec;
+    }
+    return segments;
+  }
+
+  /**
+   * Build a TCX file. Trackpoints carry distance, heart rate and cadence in
+   * the standard elements and power in the TPX extension; each lap adds its
+   * heart rate, cadence and speed summary, calories from the mechanical work
+   * and average speed and power in the LX extension. When they can be
+   * computed, the lap's normalized power, intensity factor and TSS (against
+   * `options.ftpWatts`, else the FTP in the .3dp header) follow in a
+   * TrainingLoad extension of our own — LX has no elements for them. Structured
+   * workouts carry the planCompliance report as the activity `<Notes>`.
+   * `<Creator>` and `<Author>` name the converter.
+   *
+   * @param  {{ trackpoints: Array, stats: object, laps?: Array, pauses?: Array }} workout
+   * @param  {Date} startTime
+   * @param  {{ ftpWatts?: number }} [options]
+   * @returns {string}  TCX XML string
+   */
+  function buildTcx(workout, startTime, options = {}) {
+    const { trackpoints } = workout;
+    const ftpWatts = options.ftpWatts || workout.metadata?.ftpWatts;
+    const laps = exportLaps(workout);
+    const pauses = workout.pauses || [];
+    const speeds = sampleSpeeds(trackpoints, pauses);
+    const compliance = planCompliance(workout, { ftpWatts });
+    const speedOf = new Map(trackpoints.map((tp, i) => [tp, speeds[i]]));
+
+    const trackpointXml = (tp) => {
+      const t = new Date(startTime.getTime() + (tp.ms ?? tp.sec * 1000));
+
+      const distLine =
+        tp.distMeters !== null
+          ? `            <DistanceMeters>${tp.distMeters.toFixed(
+              2
+            )}</DistanceMeters>\n`
+          : "";
+      const hrBlock =
+        tp.hr !== null
+          ? `            <HeartRateBpm><Value>${tp.hr}</Value></HeartRateBpm>\n`
+          : "";
+      const cadLine =
+        tp.cadence !== null
+          ? `            <Cadence>${tp.cadence}</Cadence>\n`
+          : "";
+
+      return `          <Trackpoint>
+            <Time>${
+              tp.ms !== undefined ? t.toISOString() : isoTimestamp(t)
+            }</Time>
+${distLine}${hrBlock}${cadLine}            <Extensions>
+              <ns3:TPX xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">
+              <ns3:Watts>${tp.watts}</ns3:Watts>
+              </ns3:TPX>
+            </Extensions>
+          </Trackpoint>`;
+    };
+
+    const lapXml = laps
+      .map((lap, i) => {
+        const lapStart = new Date(startTime.getTime() + lap.startSec * 1000);
+        const points = lapTrackpoints(trackpoints, lap, i === laps.length - 1);
+        const trackXml = splitAtPauses(points, pauses)
+          .map(
+            (segment) =>
+              `        <Track>\n${segment
+                .map(trackpointXml)
+                .join("\n")}\n        </Track>`
+          )
+          .join("\n");
+        const notes = lap.name
+          ? `        <Notes>${escapeXml(lap.name)}</Notes>\n`
+          : "";
+
+        const timerSec = lap.timerSec ?? lap.durationSec;
+        const { avgHr, maxHr, avgCadence, maxSpeed } = channelSummary(
+          points,
+          points.map((tp) => speedOf.get(tp))
+        );
+        // Summary elements in the order the TCX schema requires them
+        const summaryXml = [
+          `<TotalTimeSeconds>${timerSec}</TotalTimeSeconds>`,
+          `<DistanceMeters>${lap.distMeters.toFixed(2)}</DistanceMeters>`,
+          maxSpeed !== null &&
+            `<MaximumSpeed>${maxSpeed.toFixed(3)}</MaximumSpeed>`,
+          `<Calories>${workCalories(workJoules(points, pauses))}</Calories>`,
+          avgHr !== null &&
+            `<AverageHeartRateBpm><Value>${avgHr}</Value></AverageHeartRateBpm>`,
+          maxHr !== null &&
+            `<MaximumHeartRateBpm><Value>${maxHr}</Value></MaximumHeartRateBpm>`,
+          "<Intensity>Active</Intensity>",
+          avgCadence !== null && `<Cadence>${avgCadence}</Cadence>`,
+          "<TriggerMethod>Manual</TriggerMethod>",
+        ]
+          .filter(Boolean)
+          .map((line) => `        ${line}`)
+          .join("\n");
+        const load = powerMetrics(points, pauses, timerSec, ftpWatts);
+        const lxXml = [
+          timerSec > 0 &&
+            lap.distMeters > 0 &&
+            `<ns3:AvgSpeed>${(lap.distMeters / timerSec).toFixed(
+              3
+            )}</ns3:AvgSpeed>`,
+          `<ns3:AvgWatts>${lap.avgWatts}</ns3:AvgWatts>`,
+          `<ns3:MaxWatts>${lap.maxWatts}</ns3:MaxWatts>`,
+        ]
+          .filter(Boolean)
+          .map((line) => `            ${line}`)
+          .join("\n");
+        // Garmin's LX type has no training load elements, so they get their own
+        const loadXml = [
+          load.normalizedPower !== null &&
+            `<pp:NormalizedPower>${load.normalizedPower}</pp:NormalizedPower>`,
+          load.intensityFactor !== null &&
+            `<pp:IntensityFactor>${load.intensityFactor.toFixed(
+              2
+            )}</pp:IntensityFactor>`,
+          load.trainingStressScore !== null &&
+            `<pp:TrainingStressScore>${load.trainingStressScore.toFixed(
+              1
+            )}</pp:TrainingStressScore>`,
+        ]
+          .filter(Boolean)
+          .map((line) => `            ${line}\n`)
+          .join("");
+        const trainingLoadXml = loadXml
+          ? `          <pp:TrainingLoad xmlns:pp="${TRAINING_LOAD_NS}">\n${loadXml}          </pp:TrainingLoad>\n`
+          : "";
+
+        return `      <Lap StartTime="${isoTimestamp(lapStart)}">
+${summaryXml}
+${trackXml}
+${notes}        <Extensions>
+          <ns3:LX xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">
+${lxXml}
+          </ns3:LX>
+${trainingLoadXml}        </Extensions>
+      </Lap>`;
+      })
+      .join("\n");
+
+    const versionXml = (indent) =>
+      [
+        "<Version>",
+        `  <VersionMajor>${CONVERTER_VERSION.major}</VersionMajor>`,
+        `  <VersionMinor>${CONVERTER_VERSION.minor}</VersionMinor>`,
+        "  <BuildMajor>0</BuildMajor>",
+        "  <BuildMinor>0</BuildMinor>",
+        "</Version>",
+      ]
+        .map((line) => `${indent}${line}`)
+        .join("\n");
+
+    // Structured workouts get the planned-vs-actual report as activity notes
+    const notesXml = compliance
+      ? `      <Notes>${escapeXml(complianceText(compliance))}</Notes>\n`
+      : "";
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase
+  xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2
+    http://www.garmin.com/xmlschemas/TrainingCenterDatabasev2.xsd">
+  <Activities>
+    <Activity Sport="Biking">
+      <Id>${isoTimestamp(startTime)}</Id>
+${lapXml}
+${notesXml}      <Creator xsi:type="Device_t">
+        <Name>${CONVERTER_NAME}</Name>
+        <UnitId>0</UnitId>
+        <ProductID>0</ProductID>
+${versionXml("        ")}
+      </Creator>
+    </Activity>
+  </Activities>
+  <Author xsi:type="Application_t">
+    <Name>${CONVERTER_NAME}</Name>
+    <Build>
+${versionXml("      ")}
+    </Build>
+    <LangID>en</LangID>
+    <PartNumber>000-00000-00</PartNumber>
+  </Author>
+</TrainingCenterDatabase>
+`;
+  }
+
+  // ─── PWX builder ─────────────────────────────────────────────────────────────
+
+  /** min/max/avg attributes of a PWX summary element, or "" without values. */
+  function pwxRange(tag, values, digits = 0) {
+    const v = values.filter((x) => x !== null && x !== undefined);
+    if (!v.length) return "";
+    const fmt = (x) => (digits ? x.toFixed(digits) : String(Math.round(x)));
+    const avg = v.reduce((sum, x) => sum + x, 0) / v.length;
+    return `<${tag} max="${fmt(Math.max(...v))}" min="${fmt(
+      Math.min(...v)
+    )}" avg="${fmt(avg)}"/>`;
+  }
+
+  /**
+   * Build a TrainingPeaks PWX file: a per-sample stream of power, cadence,
+   * heart rate, speed and distance, the workout summary (duration, stopped
+   * time, work in kJ, power/HR/speed/cadence ranges, distance) and one
+   * segment per lap.
+   *
+   * @param  {{ trackpoints: Array, stats: object, athleteName?: string,
+   *            workoutName?: string|null, laps?: Array, pauses?: Array }} workout
+   * @param  {Date} startTime
+   * @returns {string}  PWX file contents
+   */
+  function buildPwx(workout, startTime) {
+    const { trackpoints, stats } = workout;
+    const pauses = workout.pauses || [];
+    const laps = exportLaps(workout);
+    const speeds = sampleSpeeds(trackpoints, pauses);
+    const indexes = trackpoints.map((_, i) => i);
+
+    // <summarydata> body for a lap (or the whole ride) over trackpoints `idx`
+    const summaryXml = (indent, lap, idx) => {
+      const points = idx.map((i) => trackpoints[i]);
+      const timerSec = lap.timerSec ?? lap.durationSec;
+      const minWatts = points.length
+        ? Math.min(...points.map((t) => t.watts))
+        : 0;
+      return [
+        `<beginning>${lap.startSec}</beginning>`,
+        `<duration>${lap.durationSec}</duration>`,
+        `<durationstopped>${lap.durationSec - timerSec}</durationstopped>`,
+        `<work>${Math.round(workJoules(points, pauses) / 1000)}</work>`,
+        pwxRange(
+          "hr",
+          points.map((t) => t.hr)
+        ),
+        pwxRange(
+          "spd",
+          idx.map((i) => speeds[i]),
+          2
+        ),
+        `<pwr max="${lap.maxWatts}" min="${minWatts}" avg="${lap.avgWatts}"/>`,
+        pwxRange(
+          "cad",
+          points.map((t) => t.cadence)
+        ),
+        `<dist>${lap.distMeters.toFixed(2)}</dist>`,
+      ]
+        .filter(Boolean)
+        .map((line) => `${indent}${line}`)
+        .join("\n");
+    };
+
+    const ride = {
+      startSec: 0,
+      durationSec: stats.durationSec,
+      timerSec: stats.timerSec,
+      distMeters: stats.totalDistMeters,
+      avgWatts: stats.avgWatts,
+      maxWatts: stats.maxWatts,
+    };
+
+    // Segments only when the ride has lap structure
+    const segmentXml = (workout.laps || []).length
+      ? laps
+          .map((lap, i) => {
+            const isLast = i === laps.length - 1;
+            const idx = indexes.filter(
+              (j) =>
+                trackpoints[j].sec >= lap.startSec &&
+                (isLast || trackpoints[j].sec < lap.endSec)
+            );
+            return `    <segment>
+      <name>${escapeXml(lap.name || `Lap ${i + 1}`)}</name>
+      <summarydata>
+${summaryXml("        ", lap, idx)}
+      </summarydata>
+    </segment>
+`;
+          })
+          .join("")
+      : "";
+
+    const sampleXml = trackpoints
+      .map((tp, i) => {
+        const fields = [
+          `<timeoffset>${tp.sec}</timeoffset>`,
+          tp.hr !== null ? `<hr>${tp.hr}</hr>` : "",
+          speeds[i] !== null ? `<spd>${speeds[i].toFixed(3)}</spd>` : "",
+          `<pwr>${tp.watts}</pwr>`,
+          tp.cadence !== null ? `<cad>${tp.cadence}</cad>` : "",
+          tp.distMeters !== null
+            ? `<dist>${tp.distMeters.toFixed(2)}</dist>`
+            : "",
+        ].filter(Boolean);
+        return `    <sample>\n${fields
+          .map((f) => `      ${f}`)
+          .join("\n")}\n    </sample>`;
+      })
+      .join("\n");
+
+    const title = workout.workoutName
+      ? `    <title>${escapeXml(workout.workoutName)}</title>\n`
+      : "";
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<pwx xmlns="http://www.peaksware.com/PWX/1/0"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.peaksware.com/PWX/1/0
+    http://www.peaksware.com/PWX/1/0/pwx.xsd"
+  version="1.0" creator="PerfPro Converter">
+  <workout>
+    <athlete>
+      <name>${escapeXml(workout.athleteName || "Unknown")}</name>
+    </athlete>
+    <sportType>Bike</sportType>
+${title}    <device id="perfpro">
+      <make>Computrainer</make>
+      <model>PerfPro</model>
+    </device>
+    <time>${isoTimestamp(startTime)}</time>
+    <summarydata>
+${summaryXml("      ", ride, indexes)}
+    </summarydata>
+${segmentXml}${sampleXml}
+  </workout>
+</pwx>
+`;
+  }
+
+  // ─── GPX builder ─────────────────────────────────────────────────────────────
+
+  const EARTH_RADIUS_M = 6371008.8;
+
+  /** Great-circle distance in meters between two { lat, lon } points. */
+  function haversineMeters(a, b) {
+    const rad = Math.PI / 180;
+    const dLat = (b.lat - a.lat) * rad;
+    const dLon = (b.lon - a.lon) * rad;
+    const h =
+      Math.sin(dLat / 2) ** 2 +
+      Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+  }
+
+  /**
+   * Read the points of a GPX course — track points, or route points when the
+   * file has no track — with the cumulative distance along it.
+   *
+   * @param  {string} gpxText
+   * @returns {Array<{ lat: number, lon: number, ele: number|null, distMeters: number }>}
+   */
+  function parseGpxRoute(gpxText) {
+    const readPoints = (tag) =>
+      Array.from(
+        gpxText.matchAll(
+          new RegExp(`<${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${tag}>)`, "g")
+        ),
+        ([, attrs, body = ""]) => {
+          const attr = (name) => {
+            const m = attrs.match(
+              new RegExp(`\\b${name}\\s*=\\s*["']([^"']+)`)
+            );
+            return m ? parseFloat(m[1]) : NaN;
+          };
+          const ele = body.match(/<ele>\s*([^<]+)<\/ele>/);
+          return {
+            lat: attr("lat"),
+            lon: attr("lon"),
+            ele:
+              ele && Number.isFinite(parseFloat(ele[1]))
+                ? parseFloat(ele[1])
+                : null,
+          };
+        }
+      ).filter((p) => Number.isFinite(p.lat) && Number.isFinite(p.lon));
+
+    let points = readPoints("trkpt");
+    if (!points.length) points = readPoints("rtept");
+
+    let distMeters = 0;
+    return points.map((p, i) => {
+      if (i > 0) distMeters += haversineMeters(points[i - 1], p);
+      return { ...p, distMeters };
+    });
+  }
+
+  /**
+   * Position `distMeters` along a route, interpolating between its points.
+   * Distances past the end of the route stay on its last point.
+   */
+  function pointAtDistance(route, distMeters) {
+    let lo = 0;
+    let hi = route.length - 1;
+    if (distMeters <= 0) return route[0];
+    if (distMeters >= route[hi].distMeters) return route[hi];
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (route[mid].distMeters <= distMeters) lo = mid;
+      else hi = mid;
+    }
+    const a = route[lo];
+    const b = route[hi];
+    const span = b.distMeters - a.distMeters;
+    const f = span > 0 ? (distMeters - a.distMeters) / span : 0;
+    return {
+      lat: a.lat + (b.lat - a.lat) * f,
+      lon: a.lon + (b.lon - a.lon) * f,
+      ele:
+        a.ele !== null && b.ele !== null ? a.ele + (b.ele - a.ele) * f : null,
+    };
+  }
+
+  /**
+   * Build a GPX track that rides the workout along a GPX course: each
+   * trackpoint is placed at its cumulative `distMeters` along the route, so an
+   * indoor session shows up on a map and on segments. Power, heart rate and
+   * cadence go in the Garmin TrackPointExtension block.
+   *
+   * @param  {{ trackpoints: Array, workoutName?: string|null, pauses?: Array }} workout
+   * @param  {Date} startTime
+   * @param  {string} routeGpx  GPX file text with the course to follow
+   * @returns {string}  GPX file contents
+   */
+  function buildGpx(workout, startTime, routeGpx) {
+    const route = parseGpxRoute(routeGpx);
+    if (!route.length) {
+      throw new Error("The route file has no GPX track or route points.");
+    }
+    const name = workout.workoutName || "PerfPro workout";
+
+    let distMeters = 0; // carried over trackpoints without a distance
+    const trkptXml = (tp) => {
+      const t = new Date(startTime.getTime() + (tp.ms ?? tp.sec * 1000));
+      if (tp.distMeters !== null) distMeters = tp.distMeters;
+      const pos = pointAtDistance(route, distMeters);
+
+      const eleLine =
+        pos.ele !== null ? `        <ele>${pos.ele.toFixed(1)}</ele>\n` : "";
+      const hrLine =
+        tp.hr !== null ? `            <gpxtpx:hr>${tp.hr}</gpxtpx:hr>\n` : "";
+      const cadLine =
+        tp.cadence !== null
+          ? `            <gpxtpx:cad>${tp.cadence}</gpxtpx:cad>\n`
+          : "";
+
+      // <power> is the extension Strava and Garmin Connect read for GPX power
+      return `      <trkpt lat="${pos.lat.toFixed(7)}" lon="${pos.lon.toFixed(
+        7
+      )}">
+${eleLine}        <time>${
+        tp.ms !== undefined ? t.toISOString() : isoTimestamp(t)
+      }</time>
+        <extensions>
+          <power>${tp.watts}</power>
+          <gpxtpx:TrackPointExtension>
+${hrLine}${cadLine}          </gpxtpx:TrackPointExtension>
+        </extensions>
+      </trkpt>`;
+    };
+
+    const segmentXml = splitAtPauses(workout.trackpoints, workout.pauses || [])
+      .map(
+        (segment) =>
+          `    <trkseg>\n${segment.map(trkptXml).join("\n")}\n    </trkseg>`
+      )
+      .join("\n");
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="PerfPro Converter"
+  xmlns="http://www.topografix.com/GPX/1/1"
+  xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.topografix.com/GPX/1/1
+    http://www.topografix.com/GPX/1/1/gpx.xsd">
+  <metadata>
+    <name>${escapeXml(name)}</name>
+    <time>${isoTimestamp(startTime)}</time>
+  </metadata>
+  <trk>
+    <name>${escapeXml(name)}</name>
+${segmentXml}
+  </trk>
+</gpx>
+`;
+  }
+
+  // ─── CSV builder ─────────────────────────────────────────────────────────────
+
+  const CSV_DELIMITERS = { comma: ",", semicolon: ";", tab: "\t" };
+  const CSV_UNITS = {
+    metric: { distance: "km", perMeter: 1 / 1000, speed: "kph", perMps: 3.6 },
+    imperial: {
+      distance: "mi",
+      perMeter: 1 / 1609.344,
+      speed: "mph",
+      perMps: 3600 / 1609.344,
+    },
+  };
+
+  /**
+   * Build a CSV file with one row per trackpoint, for spreadsheets and pandas.
+   *
+   * Columns: ISO time, elapsed seconds, watts, cadence, heart rate, cumulative
+   * distance and instantaneous speed (from the distance covered since the
+   * previous trackpoint, left empty on the first one after a pause). A block
+   * of `#` comment lines above the column header carries the athlete, the
+   * workout stats and the laps — `pandas.read_csv(path, comment="#")` skips it.
+   *
+   * @param  {{ trackpoints: Array, stats: object, athleteName?: string,
+   *            workoutName?: string|null, laps?: Array, pauses?: Array }} workout
+   * @param  {Date} startTime
+   * @param  {{ delimiter?: "comma"|"semicolon"|"tab"|string,
+   *            units?: "metric"|"imperial", emptyValue?: string }} [options]
+   *   `emptyValue` is written where a sensor has no value (default: empty).
+   * @returns {string}  CSV file contents
+   */
+  function buildCsv(workout, startTime, options = {}) {
+    const { trackpoints, stats } = workout;
+    const delimiter =
+      CSV_DELIMITERS[options.delimiter] ?? options.delimiter ?? ",";
+    const units = CSV_UNITS[options.units] || CSV_UNITS.metric;
+    const emptyValue = options.emptyValue ?? "";
+
+    const distance = (meters) => (meters * units.perMeter).toFixed(3);
+    // A line break in a name would end the comment and start a stray data row
+    const oneLine = (text) => String(text).replace(/[\r\n]+/g, " ");
+    const lines = [
+      "# PerfPro Converter CSV export",
+      `# Athlete: ${oneLine(workout.athleteName || "Unknown")}`,
+      ...(workout.workoutName
+        ? [`# Workout: ${oneLine(workout.workoutName)}`]
+        : []),
+      `# Start: ${isoTimestamp(startTime)}`,
+      `# Elapsed time: ${stats.durationSec} s`,
+      `# Timer time: ${stats.timerSec ?? stats.durationSec} s`,
+      `# Avg power: ${stats.avgWatts} W`,
+      `# Max power: ${stats.maxWatts} W`,
+      `# Distance: ${distance(stats.totalDistMeters)} ${units.distance}`,
+      `# Cadence sensor: ${stats.hasCadence ? "yes" : "no"}`,
+      `# Heart rate monitor: ${stats.hasHR ? "yes" : "no"}`,
+      ...exportLaps(workout).map(
+        (lap, i) =>
+          `# Lap ${i + 1}: ${oneLine(lap.name || "Lap")} — ` +
+          `start ${lap.startSec} s, ` +
+          `${lap.durationSec} s, ${distance(lap.distMeters)} ${
+            units.distance
+          }, ` +
+          `avg ${lap.avgWatts} W, max ${lap.maxWatts} W`
+      ),
+    ];
+
+    lines.push(
+      [
+        "time",
+        "elapsed_s",
+        "watts",
+        "cadence_rpm",
+        "hr_bpm",
+        `distance_${units.distance}`,
+        `speed_${units.speed}`,
+      ].join(delimiter)
+    );
+
+    const speeds = sampleSpeeds(trackpoints, workout.pauses || []);
+    trackpoints.forEach((tp, i) => {
+      const t = new Date(startTime.getTime() + (tp.ms ?? tp.sec * 1000));
+      const hasDist = tp.distMeters !== null;
+      const speed =
+        speeds[i] !== null ? (speeds[i] * units.perMps).toFixed(2) : emptyValue;
+
+      lines.push(
+        [
+          tp.ms !== undefined ? t.toISOString() : isoTimestamp(t),
+          tp.sec,
+          tp.watts,
+          tp.cadence ?? emptyValue,
+          tp.hr ?? emptyValue,
+          hasDist ? distance(tp.distMeters) : emptyValue,
+          speed,
+        ].join(delimiter)
+      );
+    });
+    return lines.join("\n") + "\n";
+  }
+
+  // ─── GoldenCheetah JSON builder ──────────────────────────────────────────────
+
+  /** GoldenCheetah's STARTTIME format: "2026/01/21 23:54:25 UTC " (trailing space included). */
+  function gcStartTime(date) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return (
+      `${date.getUTCFullYear()}/${pad(date.getUTCMonth() + 1)}/` +
+      `${pad(date.getUTCDate())} ${pad(date.getUTCHours())}:` +
+      `${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} UTC `
+    );
+  }
+
+  /**
+   * Build a GoldenCheetah ride file (.json), the format GoldenCheetah stores
+   * rides in, so power, cadence and heart rate import without relying on TCX
+   * extensions.
+   *
+   * SAMPLES carry SECS, WATTS, KM and KPH for every trackpoint, and CAD / HR
+   * only where the sensor has a value — GoldenCheetah treats a missing key as
+   * no data. Paused time is left as a gap in SECS. INTERVALS come from the
+   * workout's laps.
+   *
+   * @param  {{ trackpoints: Array, stats: object, athleteName?: string,
+   *            workoutName?: string|null, laps?: Array, pauses?: Array,
+   *            resolution?: "1s"|"native" }} workout
+   * @param  {Date} startTime
+   * @returns {string}  JSON string
+   */
+  function buildGcJson(workout, startTime) {
+    const { trackpoints } = workout;
+    const speeds = sampleSpeeds(trackpoints, workout.pauses || []);
+
+    const recIntSecs =
+      workout.resolution === "native" && trackpoints.length > 1
+        ? +(
+            trackpoints[trackpoints.length - 1].sec /
+            (trackpoints.length - 1)
+          ).toFixed(3)
+        : 1;
+
+    const tags = {
+      Athlete: workout.athleteName || "Unknown",
+      Sport: "Bike",
+      Device: "Computrainer/PerfPro",
+      ...(workout.workoutName ? { "Workout Code": workout.workoutName } : {}),
+    };
+
+    const intervals = (workout.laps || []).map((lap, i) => ({
+      NAME: lap.name || `Lap ${i + 1}`,
+      START: lap.startSec,
+      STOP: lap.endSec,
+    }));
+
+    const samples = trackpoints.map((tp, i) => {
+      const sample = { SECS: tp.sec, WATTS: tp.watts };
+      if (tp.cadence !== null) sample.CAD = tp.cadence;
+      if (tp.hr !== null) sample.HR = tp.hr;
+      if (tp.distMeters !== null) {
+        sample.KM = +(tp.distMeters / 1000).toFixed(5);
+      }
+      if (speeds[i] !== null) sample.KPH = +(speeds[i] * 3.6).toFixed(2);
+      return sample;
+    });
+
+    // One sample per line, the way GoldenCheetah lays out its own files
+    const field = (key, value) =>
+      `    ${JSON.stringify(key)}: ${JSON.stringify(value, null, 2).replace(
+        /\n/g,
+        "\n    "
+      )}`;
+    const lines = [
+      field("STARTTIME", gcStartTime(startTime)),
+      field("RECINTSECS", recIntSecs),
+      field("DEVICETYPE", "Computrainer/PerfPro"),
+      field("IDENTIFIER", ""),
+      field("TAGS", tags),
+      ...(intervals.length ? [field("INTERVALS", intervals)] : []),
+      `    "SAMPLES": [\n${samples
+        .map((sample) => `      ${JSON.stringify(sample)}`)
+        .join(",\n")}\n    ]`,
+    ];
+    return `{\n  "RIDE": {\n${lines.join(",\n")}\n  }\n}\n`;
+  }
 
-    const stats = {
-      durationSec,
-      avgWatts: allWatts.length
-        ? Math.round(allWatts.reduce((s, v) => s + v, 0) / allWatts.length)
-        : 0,
-      maxWatts: maxRawWatts,
-      hasCadence,
-      hasHR,
-      recordCount: validCount,
-      totalDistMeters,
+  // ─── Planned workout ─────────────────────────────────────────────────────────
+
+  /**
+   * Rebuild the workout PerfPro executed from the footer segment list.
+   *
+   * Segment times stay on the workout clock (pauses don't stretch them), so
+   * the plan is the structure as written, not as ridden. Null when the file
+   * has no footer segments.
+   *
+   * @param  {{ workoutName: string|null, intervals: Array }} footer
+   * @param  {{ ftpWatts?: number|null }} metadata
+   * @returns {{ name: string|null, ftpWatts: number|null, durationSec: number,
+   *             segments: Array<{name, label, repeat, startSec, endSec,
+   *             durationSec, startPct, endPct, cadenceTarget}> }|null}
+   */
+  function buildPlan(footer, metadata) {
+    const segments = footer.intervals
+      .filter((iv) => iv.endSec > iv.startSec)
+      .map((iv) => ({
+        name: iv.name,
+        label: iv.label,
+        repeat: iv.repeat,
+        startSec: iv.startSec,
+        endSec: iv.endSec,
+        durationSec: iv.endSec - iv.startSec,
+        startPct: iv.target.startPct,
+        endPct: iv.target.endPct,
+        cadenceTarget: iv.cadenceTarget,
+      }));
+    if (segments.length === 0) return null;
+    return {
+      name: footer.workoutName,
+      ftpWatts: metadata.ftpWatts || null,
+      durationSec: segments[segments.length - 1].endSec,
+      segments,
     };
+  }
 
-    return { athleteName, trackpoints, stats };
+  function sameSegment(a, b) {
+    return (
+      a.durationSec === b.durationSec &&
+      a.startPct === b.startPct &&
+      a.endPct === b.endPct &&
+      a.cadenceTarget === b.cadenceTarget
+    );
   }
 
-  // ─── TCX builder ─────────────────────────────────────────────────────────────
+  /**
+   * Group the plan into steps for formats with a repeat construct: a steady
+   * on/off pair that repeats back to back becomes one `{ on, off, count }`
+   * step, every other segment stays a `{ segment }` step.
+   */
+  function planSteps(segments) {
+    const steps = [];
+    let i = 0;
+    while (i < segments.length) {
+      const on = segments[i];
+      const off = segments[i + 1];
+      let count = 1;
+      if (
+        off &&
+        on.startPct === on.endPct &&
+        off.startPct === off.endPct &&
+        on.startPct !== off.startPct
+      ) {
+        while (
+          i + 2 * count + 1 < segments.length &&
+          sameSegment(segments[i + 2 * count], on) &&
+          sameSegment(segments[i + 2 * count + 1], off)
+        ) {
+          count++;
+        }
+      }
+      if (count > 1) {
+        steps.push({ on, off, count });
+        i += 2 * count;
+      } else {
+        steps.push({ segment: on });
+        i++;
+      }
+    }
+    return steps;
+  }
 
-  function buildTcx(workout, startTime) {
-    const { trackpoints, stats } = workout;
+  const fraction = (pct) => +(pct / 100).toFixed(3);
 
-    const tpXml = trackpoints
-      .map((tp) => {
-        const t = new Date(startTime.getTime() + tp.sec * 1000);
+  /**
+   * Build a Zwift workout (.zwo) from a plan.
+   *
+   * Power is written as a fraction of FTP, so the file scales to whoever rides
+   * it. Ramps become Warmup (first segment), Cooldown (last) or Ramp blocks;
+   * repeated on/off pairs collapse into IntervalsT. Segment names are shown as
+   * text events at the start of each block.
+   *
+   * @param  {{ name: string|null, ftpWatts: number|null, segments: Array }} plan
+   * @returns {string}  ZWO XML string
+   */
+  function buildZwo(plan) {
+    const { segments } = plan;
+    const cadence = (attr, value) => (value ? ` ${attr}="${value}"` : "");
+    const textEvent = (name) =>
+      name
+        ? `\n      <textevent timeoffset="0" message="${escapeXml(name)}"/>`
+        : "";
+    const block = (tag, attrs, name) => {
+      const events = textEvent(name);
+      return events
+        ? `    <${tag} ${attrs}>${events}\n    </${tag}>`
+        : `    <${tag} ${attrs}/>`;
+    };
 
-        const hrBlock =
-          tp.hr !== null
-            ? `            <HeartRateBpm><Value>${tp.hr}</Value></HeartRateBpm>\n`
-            : "";
-        const distLine =
-          tp.distMeters !== null
-            ? `            <DistanceMeters>${tp.distMeters.toFixed(
-                2
-              )}</DistanceMeters>\n`
-            : "";
-        const cadLine =
-          tp.cadence !== null
-            ? `              <ns3:RunCadence>${tp.cadence}</ns3:RunCadence>\n`
-            : "";
-
-        return `          <Trackpoint>
-            <Time>${isoTimestamp(t)}</Time>
-${hrBlock}${distLine}            <Extensions>
-              <ns3:TPX xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">
-              <ns3:Watts>${tp.watts}</ns3:Watts>
-${cadLine}              </ns3:TPX>
-            </Extensions>
-          </Trackpoint>`;
-      })
-      .join("\n");
+    const steps = planSteps(segments);
+    const blocks = steps.map((step, i) => {
+      if (step.count) {
+        const { on, off, count } = step;
+        const attrs =
+          `Repeat="${count}" OnDuration="${on.durationSec}" ` +
+          `OffDuration="${off.durationSec}" OnPower="${fraction(
+            on.startPct
+          )}" ` +
+          `OffPower="${fraction(off.startPct)}"` +
+          cadence("Cadence", on.cadenceTarget) +
+          cadence("CadenceResting", off.cadenceTarget);
+        return block("IntervalsT", attrs, on.name);
+      }
+      const seg = step.segment;
+      const duration = `Duration="${seg.durationSec}"`;
+      if (seg.startPct === seg.endPct) {
+        return block(
+          "SteadyState",
+          `${duration} Power="${fraction(seg.startPct)}"` +
+            cadence("Cadence", seg.cadenceTarget),
+          seg.name
+        );
+      }
+      const tag =
+        i === 0 && seg.endPct > seg.startPct
+          ? "Warmup"
+          : i === steps.length - 1 && seg.endPct < seg.startPct
+          ? "Cooldown"
+          : "Ramp";
+      return block(
+        tag,
+        `${duration} PowerLow="${fraction(seg.startPct)}" ` +
+          `PowerHigh="${fraction(seg.endPct)}"` +
+          cadence("Cadence", seg.cadenceTarget),
+        seg.name
+      );
+    });
 
+    const name = plan.name || "PerfPro workout";
+    const description = plan.ftpWatts
+      ? `Planned in PerfPro with an FTP of ${plan.ftpWatts} W.`
+      : "Planned in PerfPro.";
     return `<?xml version="1.0" encoding="UTF-8"?>
-<TrainingCenterDatabase
-  xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2"
-  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
-  xsi:schemaLocation="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2
-    http://www.garmin.com/xmlschemas/TrainingCenterDatabasev2.xsd">
-  <Activities>
-    <Activity Sport="Biking">
-      <Id>${isoTimestamp(startTime)}</Id>
-      <Lap StartTime="${isoTimestamp(startTime)}">
-        <TotalTimeSeconds>${stats.durationSec}</TotalTimeSeconds>
-        <DistanceMeters>${stats.totalDistMeters.toFixed(2)}</DistanceMeters>
-        <Calories>0</Calories>
-        <Intensity>Active</Intensity>
-        <TriggerMethod>Manual</TriggerMethod>
-        <Track>
-${tpXml}
-        </Track>
-        <Extensions>
-          <ns3:LX xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">
-            <ns3:AvgWatts>${stats.avgWatts}</ns3:AvgWatts>
-            <ns3:MaxWatts>${stats.maxWatts}</ns3:MaxWatts>
-          </ns3:LX>
-        </Extensions>
-      </Lap>
-    </Activity>
-  </Activities>
-</TrainingCenterDatabase>
+<workout_file>
+  <author>${CONVERTER_NAME}</author>
+  <name>${escapeXml(name)}</name>
+  <description>${escapeXml(description)}</description>
+  <sportType>bike</sportType>
+  <tags/>
+  <workout>
+${blocks.join("\n")}
+  </workout>
+</workout_file>
 `;
   }
 
+  /**
+   * Shared writer for the ERG/MRC course format: a header, one pair of
+   * "minutes value" points at each segment's start and end (ramps fall out of
+   * the straight line between them) and a text line per segment.
+   */
+  function buildCourseFile(plan, unitsLine, headerLines, value) {
+    const minutes = (sec) => (sec / 60).toFixed(2);
+    const data = [];
+    const text = [];
+    for (const seg of plan.segments) {
+      data.push(`${minutes(seg.startSec)}\t${value(seg.startPct)}`);
+      data.push(`${minutes(seg.endSec)}\t${value(seg.endPct)}`);
+      if (seg.label) {
+        text.push(`${seg.startSec}\t${seg.label}\t${seg.durationSec}`);
+      }
+    }
+    const lines = [
+      "[COURSE HEADER]",
+      "VERSION = 2",
+      "UNITS = ENGLISH",
+      `DESCRIPTION = ${plan.name || "PerfPro workout"}`,
+      ...headerLines,
+      unitsLine,
+      "[END COURSE HEADER]",
+      "[COURSE DATA]",
+      ...data,
+      "[END COURSE DATA]",
+      ...(text.length ? ["[COURSE TEXT]", ...text, "[END COURSE TEXT]"] : []),
+    ];
+    return lines.join("\r\n") + "\r\n";
+  }
+
+  /**
+   * Build an ERG file (absolute watts) from a plan. Targets are converted with
+   * the FTP stored in the .3dp header unless `ftpWatts` overrides it.
+   *
+   * @param  {{ name: string|null, ftpWatts: number|null, segments: Array }} plan
+   * @param  {number} [ftpWatts]
+   * @returns {string}  ERG file contents
+   */
+  function buildErg(plan, ftpWatts = plan.ftpWatts) {
+    if (!ftpWatts) {
+      throw new Error("An FTP is needed to write target watts.");
+    }
+    return buildCourseFile(
+      plan,
+      "MINUTES WATTS",
+      [`FTP = ${ftpWatts}`],
+      (pct) => Math.round((pct * ftpWatts) / 100)
+    );
+  }
+
+  /**
+   * Build an MRC file (percent of FTP) from a plan.
+   *
+   * @param  {{ name: string|null, segments: Array }} plan
+   * @returns {string}  MRC file contents
+   */
+  function buildMrc(plan) {
+    return buildCourseFile(plan, "MINUTES PERCENT", [], (pct) => pct);
+  }
+
   // ─── Start-time extraction from filename ──────────────────────────────────────
 
   /**
@@ -288,18 +3025,75 @@ ${tpXml}
 
   // ─── FIT builder ─────────────────────────────────────────────────────────────
 
+  // FIT epoch: Dec 31, 1989 00:00:00 UTC = Unix timestamp 631065600
+  const FIT_EPOCH = 631065600;
+
+  // CRC-16 (FIT variant), over data[start, end)
+  const FIT_CRC_TABLE = [
+    0x0000, 0xcc01, 0xd801, 0x1400, 0xf001, 0x3c00, 0x2800, 0xe401, 0xa001,
+    0x6c00, 0x7800, 0xb401, 0x5000, 0x9c01, 0x8801, 0x4400,
+  ];
+  function crc16(data, start, end) {
+    let c = 0;
+    for (let i = start; i < end; i++) {
+      const b = data[i];
+      let tmp = FIT_CRC_TABLE[c & 0xf];
+      c = (c >>> 4) & 0x0fff;
+      c ^= tmp ^ FIT_CRC_TABLE[b & 0xf];
+      tmp = FIT_CRC_TABLE[c & 0xf];
+      c = (c >>> 4) & 0x0fff;
+      c ^= tmp ^ FIT_CRC_TABLE[(b >>> 4) & 0xf];
+    }
+    return c;
+  }
+
+  // FIT sub_sport values offered for trainer rides
+  const FIT_SUB_SPORTS = {
+    generic: 0,
+    indoor_cycling: 6,
+    virtual_activity: 58,
+  };
+
+  // Converter version written to file_creator and the creator device_info
+  // (FIT stores software_version in hundredths: 100 = 1.00)
+  const FIT_SOFTWARE_VERSION =
+    CONVERTER_VERSION.major * 100 + CONVERTER_VERSION.minor;
+
   /**
    * Build a binary .fit file from a parsed workout.
    *
+   * The file is marked as a trainer ride: sport cycling with sub_sport
+   * `indoor_cycling` (or `virtual_activity`) on the sport, lap and session
+   * messages — FIT has no separate trainer field, and this is what Strava and
+   * Garmin Connect read to skip GPS analysis and segment matching. A
+   * `device_info` message names the Computrainer as the power and speed
+   * source, next to one for the converter itself, and `file_creator` carries
+   * the converter's software version.
+   *
+   * Records carry speed from the distance covered since the previous one.
+   * Laps and the session add heart rate, cadence and speed aggregates, total
+   * work, calories and normalized power to the time, distance and power. The
+   * session also carries the FTP as threshold_power, with the intensity
+   * factor and TSS against it (see analyzePower).
+   *
    * @param  {{ trackpoints: Array, stats: object }} workout
    * @param  {Date} startTime
+   * @param  {{ subSport?: "indoor_cycling"|"virtual_activity"|"generic",
+   *            softwareVersion?: number, ftpWatts?: number }} [options]
+   *   `softwareVersion` is in hundredths, e.g. 100 for 1.00. `ftpWatts`
+   *   defaults to the FTP in the .3dp header.
    * @returns {Uint8Array}  binary FIT file contents
    */
-  function buildFit(workout, startTime) {
+  function buildFit(workout, startTime, options = {}) {
     const { trackpoints, stats } = workout;
+    const subSport =
+      FIT_SUB_SPORTS[options.subSport ?? "indoor_cycling"] ??
+      FIT_SUB_SPORTS.indoor_cycling;
+    const softwareVersion = options.softwareVersion ?? FIT_SOFTWARE_VERSION;
+    const ftpWatts = options.ftpWatts || workout.metadata?.ftpWatts;
+    const pauses = workout.pauses || [];
+    const timerSec = stats.timerSec ?? stats.durationSec;
 
-    // FIT epoch: Dec 31, 1989 00:00:00 UTC = Unix timestamp 631065600
-    const FIT_EPOCH = 631065600;
     function toFitTs(d) {
       return (Math.floor(d.getTime() / 1000) - FIT_EPOCH) >>> 0;
     }
@@ -309,25 +3103,6 @@ ${tpXml}
       new Date(startTime.getTime() + stats.durationSec * 1000)
     );
 
-    // ── CRC-16 (FIT variant) ─────────────────────────────────────────────────
-    const CRC_TABLE = [
-      0x0000, 0xcc01, 0xd801, 0x1400, 0xf001, 0x3c00, 0x2800, 0xe401, 0xa001,
-      0x6c00, 0x7800, 0xb401, 0x5000, 0x9c01, 0x8801, 0x4400,
-    ];
-    function crc16(data, start, end) {
-      let c = 0;
-      for (let i = start; i < end; i++) {
-        const b = data[i];
-        let tmp = CRC_TABLE[c & 0xf];
-        c = (c >>> 4) & 0x0fff;
-        c ^= tmp ^ CRC_TABLE[b & 0xf];
-        tmp = CRC_TABLE[c & 0xf];
-        c = (c >>> 4) & 0x0fff;
-        c ^= tmp ^ CRC_TABLE[(b >>> 4) & 0xf];
-      }
-      return c;
-    }
-
     // ── Byte buffer ──────────────────────────────────────────────────────────
     const buf = [];
     const u8 = (v) => buf.push(v & 0xff);
@@ -349,10 +3124,14 @@ ${tpXml}
     const UINT32 = 0x86;
     const UINT32Z = 0x8c;
 
+    const STRING = 0x07;
+    const BYTE = 0x0d;
+
     // ── Definition message helper ────────────────────────────────────────────
     // fields: [[defNum, byteSize, baseType], ...]
-    function def(localType, globalMessage, fields) {
-      u8(0x40 | localType); // definition record header
+    // devFields: [[fieldNum, byteSize, developerDataIndex], ...]
+    function def(localType, globalMessage, fields, devFields = []) {
+      u8(0x40 | (devFields.length ? 0x20 : 0) | localType); // definition record header
       u8(0); // reserved
       u8(0); // architecture: little-endian
       u16(globalMessage);
@@ -362,6 +3141,21 @@ ${tpXml}
         u8(size);
         u8(baseType);
       }
+      if (devFields.length) {
+        u8(devFields.length);
+        for (const [fieldNum, size, devIndex] of devFields) {
+          u8(fieldNum);
+          u8(size);
+          u8(devIndex);
+        }
+      }
+    }
+
+    // Fixed-size, null-padded string or byte field
+    function bytesField(text, size) {
+      for (let i = 0; i < size; i++) {
+        u8(i < text.length ? text.charCodeAt(i) : 0);
+      }
     }
 
     // ── file_id  (local 0, global 0) ─────────────────────────────────────────
@@ -379,31 +3173,193 @@ ${tpXml}
     u32(0); // serial_number
     u32(startTs); // time_created
 
-    // ── record  (local 1, global 20) ─────────────────────────────────────────
-    // Fields: timestamp, power, distance (scale ×100 → cm), cadence, heart_rate
-    def(1, 20, [
+    // ── file_creator  (local 8, global 49) ───────────────────────────────────
+    def(8, 49, [
+      [0, 2, UINT16],
+      [1, 1, UINT8],
+    ]);
+    u8(8);
+    u16(softwareVersion); // software_version
+    u8(0xff); // hardware_version = invalid
+
+    // ── device_info  (local 9, global 23) ────────────────────────────────────
+    // Device 0 is the creator (this converter); device 1 is the Computrainer,
+    // which PerfPro reads power and speed from over its own serial link
+    def(9, 23, [
       [253, 4, UINT32],
-      [7, 2, UINT16],
-      [5, 4, UINT32],
-      [4, 1, UINT8],
-      [3, 1, UINT8],
+      [0, 1, UINT8],
+      [1, 1, UINT8],
+      [2, 2, UINT16],
+      [4, 2, UINT16],
+      [5, 2, UINT16],
+      [25, 1, ENUM],
+      [27, 20, STRING],
     ]);
-    for (const tp of trackpoints) {
+    function deviceInfo(index, deviceType, version, productName) {
+      u8(9); // local type 9 data header
+      u32(startTs); // timestamp
+      u8(index); // device_index
+      u8(deviceType); // device_type
+      u16(255); // manufacturer = development
+      u16(0); // product
+      u16(version); // software_version
+      u8(5); // source_type = local
+      bytesField(productName, 20); // product_name
+    }
+    deviceInfo(0, 0xff, softwareVersion, CONVERTER_NAME);
+    deviceInfo(1, 17, 0xffff, "Computrainer"); // device_type = fitness_equipment
+
+    // ── sport  (local 10, global 12) ─────────────────────────────────────────
+    def(10, 12, [
+      [0, 1, ENUM],
+      [1, 1, ENUM],
+    ]);
+    u8(10);
+    u8(2); // sport = cycling
+    u8(subSport); // sub_sport
+
+    // ── developer data  (local 6, global 207; local 7, global 206) ───────────
+    // FIT record timestamps are whole seconds. At native resolution the
+    // millisecond part of each sample travels in a developer field.
+    const nativeMs = workout.resolution === "native";
+    const FIT_APPLICATION_ID = "PerfProConverter"; // exactly 16 bytes
+    const FIT_DEV_TIMESTAMP_MS = 0; // developer field number
+    if (nativeMs) {
+      def(6, 207, [
+        [1, 16, BYTE],
+        [3, 1, UINT8],
+      ]);
+      u8(6);
+      bytesField(FIT_APPLICATION_ID, 16); // application_id
+      u8(0); // developer_data_index
+
+      def(7, 206, [
+        [0, 1, UINT8],
+        [1, 1, UINT8],
+        [2, 1, UINT8],
+        [3, 16, STRING],
+        [8, 4, STRING],
+      ]);
+      u8(7);
+      u8(0); // developer_data_index
+      u8(FIT_DEV_TIMESTAMP_MS); // field_definition_number
+      u8(UINT16); // fit_base_type_id
+      bytesField("timestamp_ms", 16); // field_name
+      bytesField("ms", 4); // units
+    }
+
+    // ── event  (local 5, global 21) ──────────────────────────────────────────
+    // Timer start/stop around every pause, interleaved with the records
+    def(5, 21, [
+      [253, 4, UINT32],
+      [0, 1, ENUM],
+      [1, 1, ENUM],
+    ]);
+    function timerEvent(ts, eventType) {
+      u8(5); // local type 5 data header
+      u32(ts);
+      u8(0); // event = timer
+      u8(eventType); // event_type: 0 = start, 4 = stop_all
+    }
+    timerEvent(startTs, 0);
+
+    // ── record  (local 1, global 20) ─────────────────────────────────────────
+    // Fields: timestamp, power, distance (scale ×100 → cm), cadence,
+    // heart_rate, speed and enhanced_speed (scale ×1000 → mm/s)
+    def(
+      1,
+      20,
+      [
+        [253, 4, UINT32],
+        [7, 2, UINT16],
+        [5, 4, UINT32],
+        [4, 1, UINT8],
+        [3, 1, UINT8],
+        [6, 2, UINT16],
+        [73, 4, UINT32],
+      ],
+      nativeMs ? [[FIT_DEV_TIMESTAMP_MS, 2, 0]] : []
+    );
+    // Stop and restart the timer in time order — records inside a stopped
+    // stretch fall between the two events
+    const timerChanges = pauses
+      .flatMap((p) => [
+        { sec: p.startSec, eventType: 4 },
+        { sec: p.endSec, eventType: 0 },
+      ])
+      .filter((c) => c.sec < stats.durationSec);
+    const speeds = sampleSpeeds(trackpoints, pauses);
+    const speedToRaw = (mps, invalid) =>
+      mps !== null ? Math.min(Math.round(mps * 1000), invalid - 1) : invalid;
+    let nextChange = 0;
+    trackpoints.forEach((tp, i) => {
+      while (
+        nextChange < timerChanges.length &&
+        timerChanges[nextChange].sec <= tp.sec
+      ) {
+        const { sec, eventType } = timerChanges[nextChange++];
+        timerEvent(startTs + sec, eventType);
+      }
       u8(1); // local type 1 data header
-      u32(startTs + tp.sec);
+      u32(startTs + Math.floor(tp.sec));
       u16(tp.watts);
       u32(
         tp.distMeters !== null ? Math.round(tp.distMeters * 100) : 0xffffffff
       );
       u8(tp.cadence !== null ? tp.cadence : 0xff);
       u8(tp.hr !== null ? tp.hr : 0xff);
-    }
+      u16(speedToRaw(speeds[i], 0xffff)); // speed
+      u32(speedToRaw(speeds[i], 0xffffffff)); // enhanced_speed
+      if (nativeMs) u16(tp.ms % 1000); // timestamp_ms (developer field)
+    });
+
+    timerEvent(endTs, 4);
 
     // ── lap  (local 2, global 19) ────────────────────────────────────────────
-    const distRaw =
-      stats.totalDistMeters > 0
-        ? Math.round(stats.totalDistMeters * 100) >>> 0
-        : 0xffffffff;
+    const laps = exportLaps(workout);
+    const distToRaw = (meters) =>
+      meters > 0 ? Math.round(meters * 100) >>> 0 : 0xffffffff;
+    const distRaw = distToRaw(stats.totalDistMeters);
+
+    // Heart rate, cadence, speed, work and normalized power over the
+    // trackpoints at `idx` — shared by the lap and session messages
+    function summary(idx, timerSecs, distMeters) {
+      const points = idx.map((j) => trackpoints[j]);
+      const work = Math.round(workJoules(points, pauses));
+      const np = normalizedPower(points, pauses);
+      return {
+        ...channelSummary(
+          points,
+          idx.map((j) => speeds[j])
+        ),
+        avgSpeed:
+          distMeters > 0 && timerSecs > 0 ? distMeters / timerSecs : null,
+        work,
+        calories: workCalories(work),
+        normalizedPower: np ?? 0xffff,
+      };
+    }
+    // Fields both messages write after power, in the order u16 calories,
+    // avg/max speed, avg/max HR, avg/max cadence, normalized power, balance,
+    // total_work and the enhanced speeds
+    function summaryFields(sum) {
+      u16(Math.min(sum.calories, 0xfffe)); // total_calories (kcal)
+      u16(speedToRaw(sum.avgSpeed, 0xffff)); // avg_speed
+      u16(speedToRaw(sum.maxSpeed, 0xffff)); // max_speed
+      u8(sum.avgHr ?? 0xff); // avg_heart_rate
+      u8(sum.maxHr ?? 0xff); // max_heart_rate
+      u8(sum.avgCadence ?? 0xff); // avg_cadence
+      u8(sum.maxCadence ?? 0xff); // max_cadence
+      u16(sum.normalizedPower); // normalized_power
+      // The .3dp records carry no left/right split we can decode, so the
+      // balance is always written as unknown
+      u16(0xffff); // left_right_balance
+      u32(sum.work); // total_work (J)
+      u32(speedToRaw(sum.avgSpeed, 0xffffffff)); // enhanced_avg_speed
+      u32(speedToRaw(sum.maxSpeed, 0xffffffff)); // enhanced_max_speed
+    }
+    const indexes = trackpoints.map((_, j) => j);
+
     def(2, 19, [
       [254, 2, UINT16],
       [253, 4, UINT32],
@@ -413,22 +3369,46 @@ ${tpXml}
       [7, 4, UINT32],
       [8, 4, UINT32],
       [9, 4, UINT32],
+      [19, 2, UINT16],
       [20, 2, UINT16],
-      [21, 2, UINT16],
-      [5, 1, ENUM],
+      [11, 2, UINT16],
+      [13, 2, UINT16],
+      [14, 2, UINT16],
+      [15, 1, UINT8],
+      [16, 1, UINT8],
+      [17, 1, UINT8],
+      [18, 1, UINT8],
+      [33, 2, UINT16],
+      [34, 2, UINT16],
+      [41, 4, UINT32],
+      [110, 4, UINT32],
+      [111, 4, UINT32],
+      [25, 1, ENUM],
+      [39, 1, ENUM],
     ]);
-    u8(2); // local type 2 data header
-    u16(0); // message_index
-    u32(endTs); // timestamp
-    u8(9);
-    u8(1); // event = lap, event_type = stop
-    u32(startTs); // start_time
-    u32(stats.durationSec * 1000); // total_elapsed_time (raw = seconds × 1000)
-    u32(stats.durationSec * 1000); // total_timer_time
-    u32(distRaw); // total_distance (raw = meters × 100)
-    u16(stats.avgWatts); // avg_power
-    u16(stats.maxWatts); // max_power
-    u8(2); // sport = cycling
+    laps.forEach((lap, i) => {
+      const isLast = i === laps.length - 1;
+      const lapTimerSec = lap.timerSec ?? lap.durationSec;
+      const idx = indexes.filter(
+        (j) =>
+          trackpoints[j].sec >= lap.startSec &&
+          (isLast || trackpoints[j].sec < lap.endSec)
+      );
+      u8(2); // local type 2 data header
+      u16(i); // message_index
+      u32(startTs + lap.endSec); // timestamp
+      u8(9);
+      u8(1); // event = lap, event_type = stop
+      u32(startTs + lap.startSec); // start_time
+      u32(lap.durationSec * 1000); // total_elapsed_time (raw = seconds × 1000)
+      u32(lapTimerSec * 1000); // total_timer_time
+      u32(distToRaw(lap.distMeters)); // total_distance (raw = meters × 100)
+      u16(lap.avgWatts); // avg_power
+      u16(lap.maxWatts); // max_power
+      summaryFields(summary(idx, lapTimerSec, lap.distMeters));
+      u8(2); // sport = cycling
+      u8(subSport); // sub_sport
+    });
 
     // ── session  (local 3, global 18) ────────────────────────────────────────
     def(3, 18, [
@@ -442,10 +3422,25 @@ ${tpXml}
       [9, 4, UINT32],
       [20, 2, UINT16],
       [21, 2, UINT16],
+      [11, 2, UINT16],
+      [14, 2, UINT16],
+      [15, 2, UINT16],
+      [16, 1, UINT8],
+      [17, 1, UINT8],
+      [18, 1, UINT8],
+      [19, 1, UINT8],
+      [34, 2, UINT16],
+      [37, 2, UINT16],
+      [48, 4, UINT32],
+      [124, 4, UINT32],
+      [125, 4, UINT32],
       [5, 1, ENUM],
       [6, 1, ENUM],
       [25, 2, UINT16],
       [26, 2, UINT16],
+      [35, 2, UINT16],
+      [36, 2, UINT16],
+      [45, 2, UINT16],
     ]);
     u8(3); // local type 3 data header
     u16(0); // message_index
@@ -454,14 +3449,27 @@ ${tpXml}
     u8(1); // event = session, event_type = stop
     u32(startTs); // start_time
     u32(stats.durationSec * 1000); // total_elapsed_time
-    u32(stats.durationSec * 1000); // total_timer_time
+    u32(timerSec * 1000); // total_timer_time
     u32(distRaw); // total_distance
     u16(stats.avgWatts); // avg_power
     u16(stats.maxWatts); // max_power
-    u8(2);
-    u8(0); // sport = cycling, sub_sport = generic
+    summaryFields(summary(indexes, timerSec, stats.totalDistMeters));
+    u8(2); // sport = cycling
+    u8(subSport); // sub_sport
     u16(0);
-    u16(1); // first_lap_index = 0, num_laps = 1
+    u16(laps.length); // first_lap_index = 0, num_laps
+    const load = powerMetrics(trackpoints, pauses, timerSec, ftpWatts);
+    u16(
+      load.trainingStressScore !== null
+        ? Math.min(Math.round(load.trainingStressScore * 10), 0xfffe)
+        : 0xffff
+    ); // training_stress_score (raw = TSS × 10)
+    u16(
+      load.intensityFactor !== null
+        ? Math.round((load.normalizedPower / load.ftpWatts) * 1000)
+        : 0xffff
+    ); // intensity_factor (raw = IF × 1000, from the unrounded IF)
+    u16(load.ftpWatts ?? 0xffff); // threshold_power
 
     // ── activity  (local 4, global 34) ───────────────────────────────────────
     def(4, 34, [
@@ -474,7 +3482,7 @@ ${tpXml}
     ]);
     u8(4); // local type 4 data header
     u32(endTs);
-    u32(stats.durationSec * 1000); // total_timer_time
+    u32(timerSec * 1000); // total_timer_time
     u16(1); // num_sessions
     u8(0);
     u8(26);
@@ -487,7 +3495,7 @@ ${tpXml}
     const hdr = new Uint8Array(14);
     const hv = new DataView(hdr.buffer);
     hdr[0] = 14; // header size
-    hdr[1] = 0x10; // protocol version 1.0
+    hdr[1] = nativeMs ? 0x20 : 0x10; // protocol 2.0 for developer fields, else 1.0
     hv.setUint16(2, 2132, true); // profile version 21.32
     hv.setUint32(4, data.length, true); // data record size (excludes header + file CRC)
     hdr[8] = 0x2e;
@@ -507,7 +3515,568 @@ ${tpXml}
     return out;
   }
 
+  // ─── FIT decoder ─────────────────────────────────────────────────────────────
+
+  // FIT base types by their low five bits: byte size, DataView getter and the
+  // value that marks "no data" (null for types without one)
+  const FIT_BASE_TYPES = [
+    { size: 1, get: "getUint8", invalid: 0xff }, // enum
+    { size: 1, get: "getInt8", invalid: 0x7f }, // sint8
+    { size: 1, get: "getUint8", invalid: 0xff }, // uint8
+    { size: 2, get: "getInt16", invalid: 0x7fff }, // sint16
+    { size: 2, get: "getUint16", invalid: 0xffff }, // uint16
+    { size: 4, get: "getInt32", invalid: 0x7fffffff }, // sint32
+    { size: 4, get: "getUint32", invalid: 0xffffffff }, // uint32
+    { size: 1, string: true }, // string
+    { size: 4, get: "getFloat32", invalid: null }, // float32
+    { size: 8, get: "getFloat64", invalid: null }, // float64
+    { size: 1, get: "getUint8", invalid: 0 }, // uint8z
+    { size: 2, get: "getUint16", invalid: 0 }, // uint16z
+    { size: 4, get: "getUint32", invalid: 0 }, // uint32z
+    { size: 1, get: "getUint8", invalid: 0xff }, // byte
+    { size: 8, get: "getBigInt64", invalid: 0x7fffffffffffffffn }, // sint64
+    { size: 8, get: "getBigUint64", invalid: 0xffffffffffffffffn }, // uint64
+    { size: 8, get: "getBigUint64", invalid: 0n }, // uint64z
+  ];
+
+  // Global message numbers the decoder turns into a workout
+  const FIT_MESG = {
+    fileId: 0,
+    session: 18,
+    lap: 19,
+    record: 20,
+    event: 21,
+    fieldDescription: 206,
+  };
+
+  /**
+   * Decode one field value. Arrays come back as arrays, strings as text and
+   * FIT's invalid markers as null.
+   */
+  function readFitValue(view, offset, size, baseTypeId, littleEndian) {
+    const type = FIT_BASE_TYPES[baseTypeId & 0x1f];
+    if (!type || size % type.size !== 0) {
+      return Array.from(new Uint8Array(view.buffer, offset, size));
+    }
+    if (type.string) {
+      const bytes = new Uint8Array(view.buffer, offset, size);
+      const end = bytes.indexOf(0);
+      const text = new TextDecoder().decode(
+        bytes.subarray(0, end === -1 ? size : end)
+      );
+      return text || null;
+    }
+    const values = [];
+    for (let at = offset; at < offset + size; at += type.size) {
+      let value = view[type.get](at, littleEndian);
+      if (value === type.invalid || Number.isNaN(value)) value = null;
+      else if (typeof value === "bigint") value = Number(value);
+      values.push(value);
+    }
+    if (values.length === 1) return values[0];
+    return values.every((v) => v === null) ? null : values;
+  }
+
+  /**
+   * Decode the messages of a FIT file.
+   *
+   * Handles definition and data messages, compressed-timestamp headers,
+   * developer fields (named from their field_description messages) and
+   * big-endian definitions, and checks the header and file CRCs.
+   *
+   * Throws a FormatError: "not-fit" without the ".FIT" signature, "bad-crc"
+   * when a CRC doesn't match, "truncated" when a message runs past the data,
+   * "undefined-local-type" when a data message uses a local type no
+   * definition has declared, and "no-timestamp" when a compressed-timestamp
+   * header comes before any full timestamp it could be an offset from.
+   *
+   * @param  {ArrayBuffer} arrayBuffer
+   * @returns {Array<{ mesgNum: number, fields: Object<number, *>,
+   *                   developerFields: Object<string, *> }>}
+   */
+  function decodeFitMessages(arrayBuffer) {
+    const bytes = new Uint8Array(arrayBuffer);
+    const view = new DataView(arrayBuffer);
+    const headerSize = bytes[0];
+    if (
+      bytes.length < 12 ||
+      (headerSize !== 12 && headerSize !== 14) ||
+      String.fromCharCode(...bytes.subarray(8, 12)) !== ".FIT"
+    ) {
+      throw new FormatError("not-fit", "This is not a FIT file.");
+    }
+    const dataSize = view.getUint32(4, true);
+    const dataEnd = headerSize + dataSize;
+    if (dataEnd + 2 > bytes.length) {
+      throw new FormatError(
+        "truncated",
+        `The FIT file is cut off: its header promises ${dataSize} bytes of data.`,
+        { offset: bytes.length }
+      );
+    }
+    if (headerSize === 14) {
+      const headerCrc = view.getUint16(12, true);
+      if (headerCrc !== 0 && headerCrc !== crc16(bytes, 0, 12)) {
+        throw new FormatError("bad-crc", "The FIT file header CRC is wrong.", {
+          offset: 12,
+        });
+      }
+    }
+    if (view.getUint16(dataEnd, true) !== crc16(bytes, 0, dataEnd)) {
+      throw new FormatError(
+        "bad-crc",
+        "The FIT file CRC is wrong — the file is damaged.",
+        { offset: dataEnd }
+      );
+    }
+
+    const definitions = [];
+    const developerDescriptions = new Map(); // "devIndex:fieldNum" → description
+    const messages = [];
+    let lastTimestamp = null;
+    let pos = headerSize;
+    const need = (n) => {
+      if (pos + n > dataEnd) {
+        throw new FormatError(
+          "truncated",
+          `A FIT message at byte ${pos} runs past the end of the data.`,
+          { offset: pos }
+        );
+      }
+    };
+
+    while (pos < dataEnd) {
+      const header = bytes[pos++];
+
+      if (!(header & 0x80) && header & 0x40) {
+        // Definition message
+        need(5);
+        const littleEndian = bytes[pos + 1] === 0;
+        const mesgNum = view.getUint16(pos + 2, littleEndian);
+        const fieldCount = bytes[pos + 4];
+        pos += 5;
+        need(fieldCount * 3);
+        const fields = [];
+        for (let i = 0; i < fieldCount; i++, pos += 3) {
+          fields.push({
+            num: bytes[pos],
+            size: bytes[pos + 1],
+            baseType: bytes[pos + 2],
+          });
+        }
+        const devFields = [];
+        if (header & 0x20) {
+          need(1);
+          const devCount = bytes[pos++];
+          need(devCount * 3);
+          for (let i = 0; i < devCount; i++, pos += 3) {
+            devFields.push({
+              num: bytes[pos],
+              size: bytes[pos + 1],
+              devIndex: bytes[pos + 2],
+            });
+          }
+        }
+        definitions[header & 0x0f] = {
+          mesgNum,
+          littleEndian,
+          fields,
+          devFields,
+        };
+        continue;
+      }
+
+      // Data message — a compressed-timestamp header carries a 5-bit offset
+      const messageStart = pos - 1;
+      const compressed = header & 0x80;
+      const localType = compressed ? (header >> 5) & 0x03 : header & 0x0f;
+      const def = definitions[localType];
+      if (!def) {
+        throw new FormatError(
+          "undefined-local-type",
+          `FIT data at byte ${messageStart} uses local type ${localType} before defining it.`,
+          { offset: messageStart }
+        );
+      }
+      const fields = {};
+      for (const field of def.fields) {
+        need(field.size);
+        fields[field.num] = readFitValue(
+          view,
+          pos,
+          field.size,
+          field.baseType,
+          def.littleEndian
+        );
+        pos += field.size;
+      }
+      const developerFields = {};
+      for (const field of def.devFields) {
+        need(field.size);
+        const key = `${field.devIndex}:${field.num}`;
+        const description = developerDescriptions.get(key);
+        developerFields[description ? description.name : key] = readFitValue(
+          view,
+          pos,
+          field.size,
+          description ? description.baseType : 0x0d,
+          def.littleEndian
+        );
+        pos += field.size;
+      }
+
+      if (compressed) {
+        if (lastTimestamp === null) {
+          throw new FormatError(
+            "no-timestamp",
+            `FIT data at byte ${messageStart} has a compressed timestamp but no earlier message has a full one.`,
+            { offset: messageStart }
+          );
+        }
+        const offset = header & 0x1f;
+        let timestamp = (lastTimestamp & ~0x1f) + offset;
+        if (offset < (lastTimestamp & 0x1f)) timestamp += 0x20;
+        fields[253] = timestamp >>> 0;
+      }
+      if (typeof fields[253] === "number") lastTimestamp = fields[253];
+
+      if (def.mesgNum === FIT_MESG.fieldDescription) {
+        developerDescriptions.set(`${fields[0]}:${fields[1]}`, {
+          name: fields[3] || `${fields[0]}:${fields[1]}`,
+          baseType: fields[2],
+          units: fields[8] ?? null,
+        });
+      }
+      messages.push({ mesgNum: def.mesgNum, fields, developerFields });
+    }
+    return messages;
+  }
+
+  /**
+   * Read a FIT activity back into the workout model `parse3dp` returns:
+   * trackpoints from the record messages, pauses from the timer stop/start
+   * events, laps from the lap messages and the same `stats`.
+   *
+   * Records with a `timestamp_ms` developer field (as buildFit writes at
+   * native resolution) keep their millisecond time. FIT has no workout
+   * footer, so laps are unnamed and `intervals` and `plan` are empty.
+   * `startTime` is the session start (or the first record) as a Date, and
+   * `messages` holds every decoded message for callers that need more than
+   * the workout.
+   *
+   * Throws a FormatError when the file isn't a readable FIT activity.
+   *
+   * @param  {ArrayBuffer} arrayBuffer
+   * @returns {{ startTime: Date, trackpoints: Array, laps: Array,
+   *             pauses: Array, stats: object, messages: Array }}
+   */
+  function parseFit(arrayBuffer) {
+    const messages = decodeFitMessages(arrayBuffer);
+    const ofType = (mesgNum) => messages.filter((m) => m.mesgNum === mesgNum);
+    const records = ofType(FIT_MESG.record).filter(
+      (m) => typeof m.fields[253] === "number"
+    );
+    if (records.length === 0) {
+      throw new FormatError("no-records", "The FIT file has no records.");
+    }
+    const [session] = ofType(FIT_MESG.session);
+    const startTs = session?.fields[2] ?? records[0].fields[253];
+    const native = records.some(
+      (m) => typeof m.developerFields.timestamp_ms === "number"
+    );
+
+    const trackpoints = records.map((m) => {
+      const { fields } = m;
+      const ms =
+        (fields[253] - startTs) * 1000 + (m.developerFields.timestamp_ms ?? 0);
+      return {
+        sec: native ? ms / 1000 : fields[253] - startTs,
+        ...(native ? { ms } : {}),
+        watts: fields[7] ?? 0,
+        cadence: fields[4] ?? null,
+        hr: fields[3] ?? null,
+        distMeters: typeof fields[5] === "number" ? fields[5] / 100 : null,
+        lap: 0,
+      };
+    });
+
+    const last = trackpoints[trackpoints.length - 1];
+    const durationSec =
+      typeof session?.fields[7] === "number"
+        ? Math.round(session.fields[7] / 1000)
+        : Math.floor(last.sec);
+
+    // Timer stop (1) or stop_all (4) up to the next start (0)
+    const pauses = [];
+    let stoppedAt = null;
+    for (const { fields } of ofType(FIT_MESG.event)) {
+      if (fields[0] !== 0) continue; // event = timer
+      const sec = fields[253] - startTs;
+      if (fields[1] === 1 || fields[1] === 4) stoppedAt ??= sec;
+      else if (fields[1] === 0 && stoppedAt !== null) {
+        if (sec > stoppedAt) {
+          pauses.push({ startSec: stoppedAt, endSec: sec, source: "timer" });
+        }
+        stoppedAt = null;
+      }
+    }
+    const pausedSec = pausedSecondsIn(pauses, 0, durationSec);
+
+    // Power is averaged per second before the stats, as parse3dp does
+    const wattsBySecond = new Map();
+    for (const tp of trackpoints) {
+      const sec = Math.floor(tp.sec);
+      if (!wattsBySecond.has(sec)) wattsBySecond.set(sec, []);
+      wattsBySecond.get(sec).push(tp.watts);
+    }
+    const secondWatts = Array.from(wattsBySecond.values(), avgInt).filter(
+      (w) => w > 0
+    );
+    const coverage = (key) =>
+      Math.round(
+        (trackpoints.filter((t) => t[key] !== null).length /
+          trackpoints.length) *
+          1000
+      ) / 10;
+    const lastDist = trackpoints.findLast((t) => t.distMeters !== null);
+    const stats = {
+      durationSec,
+      timerSec: durationSec - pausedSec,
+      pausedSec,
+      avgWatts: secondWatts.length ? avgInt(secondWatts) : 0,
+      maxWatts: trackpoints.reduce((m, t) => Math.max(m, t.watts), 0),
+      hasCadence: trackpoints.some((t) => t.cadence !== null),
+      hasHR: trackpoints.some((t) => t.hr !== null),
+      coverage: { cadence: coverage("cadence"), hr: coverage("hr") },
+      recordCount: records.length,
+      totalDistMeters: lastDist ? lastDist.distMeters : 0,
+    };
+
+    const lapStarts = ofType(FIT_MESG.lap)
+      .map((m) => ({ startSec: m.fields[2] - startTs, name: null }))
+      .filter((lap) => lap.startSec < durationSec);
+    const laps = buildLaps(
+      trackpoints,
+      lapStarts.length ? lapStarts : [{ startSec: 0, name: null }],
+      new Map(),
+      durationSec,
+      pauses
+    );
+
+    return {
+      athleteName: null,
+      workoutName: null,
+      startTime: new Date((startTs + FIT_EPOCH) * 1000),
+      resolution: native ? "native" : "1s",
+      trackpoints,
+      intervals: [],
+      plan: null,
+      laps,
+      pauses,
+      metadata: {},
+      warnings: [],
+      diagnostics: [],
+      stats,
+      messages,
+    };
+  }
+
+  // ─── Heart rate merge ────────────────────────────────────────────────────────
+
+  // A recording sample further than this from a trackpoint's time is not used
+  const SENSOR_MERGE_MAX_GAP_SEC = 5;
+
+  /**
+   * Read the heart rate and cadence samples of a separately recorded ride —
+   * a watch or chest strap saved as FIT, TCX or GPX — with their wall-clock
+   * times. The format is picked by the file name's extension.
+   *
+   * Throws a FormatError: "unsupported-format" for other extensions and
+   * "no-sensor-data" when no sample carries heart rate or cadence.
+   *
+   * @param  {ArrayBuffer|string} data  FIT bytes, or TCX/GPX text
+   * @param  {string} fileName
+   * @returns {Array<{ timeMs: number, hr: number|null, cadence: number|null }>}
+   *          sorted by time
+   */
+  function readSensorSamples(data, fileName) {
+    const extension = (fileName.match(/\.(\w+)$/) || [])[1]?.toLowerCase();
+    let samples;
+    if (extension === "fit") {
+      const fit = parseFit(data);
+      const startMs = fit.startTime.getTime();
+      samples = fit.trackpoints.map((tp) => ({
+        timeMs: startMs + (tp.ms ?? tp.sec * 1000),
+        hr: tp.hr,
+        cadence: tp.cadence,
+      }));
+    } else if (extension === "tcx" || extension === "gpx") {
+      const text =
+        typeof data === "string" ? data : new TextDecoder().decode(data);
+      const point = extension === "tcx" ? "Trackpoint" : "trkpt";
+      const read = (body, pattern) => {
+        const m = body.match(pattern);
+        return m && Number.isFinite(parseFloat(m[1])) ? parseFloat(m[1]) : null;
+      };
+      // TCX: <Time>, <HeartRateBpm><Value> and bike <Cadence>;
+      // GPX: <time> with the Garmin TrackPointExtension <hr> and <cad>
+      samples = Array.from(
+        text.matchAll(
+          new RegExp(`<${point}\\b[^>]*>([\\s\\S]*?)</${point}>`, "g")
+        ),
+        ([, body]) => ({
+          timeMs: Date.parse(
+            (body.match(/<[Tt]ime>\s*([^<]+?)\s*<\//) || [])[1]
+          ),
+          hr:
+            extension === "tcx"
+              ? read(body, /<HeartRateBpm\b[^>]*>\s*<Value>([^<]+)</)
+              : read(body, /<(?:\w+:)?hr>([^<]+)</),
+          cadence:
+            extension === "tcx"
+              ? read(body, /<Cadence>([^<]+)</)
+              : read(body, /<(?:\w+:)?cad>([^<]+)</),
+        })
+      );
+    } else {
+      throw new FormatError(
+        "unsupported-format",
+        "Heart rate can only be merged from a .fit, .tcx or .gpx file."
+      );
+    }
+
+    samples = samples
+      .filter((s) => Number.isFinite(s.timeMs))
+      .sort((a, b) => a.timeMs - b.timeMs);
+    if (!samples.some((s) => s.hr !== null || s.cadence !== null)) {
+      throw new FormatError(
+        "no-sensor-data",
+        `${fileName} has no heart rate or cadence to merge.`
+      );
+    }
+    return samples;
+  }
+
+  /**
+   * Fill heart rate (and optionally cadence) from a separate recording into a
+   * workout that was ridden without that sensor paired to PerfPro.
+   *
+   * The two are aligned by wall clock: trackpoint `sec` is placed at
+   * `startTime + sec` and takes the nearest sample within
+   * SENSOR_MERGE_MAX_GAP_SEC. `offsetSec` nudges the recording when its clock
+   * or the start time is off — a positive offset means the recording's clock
+   * runs that many seconds ahead. Values PerfPro recorded itself are kept.
+   *
+   * Returns a new workout with the filled trackpoints, lap averages and
+   * `stats.hasHR`/`coverage` updated, plus a `sensorMerge` summary.
+   * Throws a FormatError "no-overlap" when no sample lands on the ride.
+   *
+   * @param  {object} workout  from parse3dp or parseFit
+   * @param  {Array<object>} samples  from readSensorSamples
+   * @param  {Date} startTime
+   * @param  {{ offsetSec?: number, cadence?: boolean }} [options]
+   * @returns {object}
+   */
+  function mergeSensorData(workout, samples, startTime, options = {}) {
+    const offsetMs = (options.offsetSec || 0) * 1000;
+    const keys = options.cadence ? ["hr", "cadence"] : ["hr"];
+    const maxGapMs = SENSOR_MERGE_MAX_GAP_SEC * 1000;
+    const startMs = startTime.getTime();
+
+    const filled = { hr: 0, cadence: 0 };
+    const trackpoints = workout.trackpoints.map((tp) => ({ ...tp }));
+    for (const key of keys) {
+      const source = samples.filter((s) => s[key] !== null);
+      let j = 0;
+      for (const tp of trackpoints) {
+        if (tp[key] !== null) continue;
+        // Samples and trackpoints are both in time order, so walk them together
+        const timeMs = startMs + (tp.ms ?? tp.sec * 1000) + offsetMs;
+        while (
+          j + 1 < source.length &&
+          Math.abs(source[j + 1].timeMs - timeMs) <=
+            Math.abs(source[j].timeMs - timeMs)
+        ) {
+          j++;
+        }
+        if (source[j] && Math.abs(source[j].timeMs - timeMs) <= maxGapMs) {
+          tp[key] = source[j][key];
+          filled[key]++;
+        }
+      }
+    }
+    if (filled.hr + filled.cadence === 0) {
+      throw new FormatError(
+        "no-overlap",
+        "The recording doesn't overlap the ride — check the start time and offset."
+      );
+    }
+
+    const coverage = (key) =>
+      Math.round(
+        (trackpoints.filter((t) => t[key] !== null).length /
+          trackpoints.length) *
+          1000
+      ) / 10;
+    const laps = (workout.laps || []).map((lap) => {
+      const tps = trackpoints.filter((t) => t.lap === lap.index);
+      const hrs = tps.map((t) => t.hr).filter((v) => v !== null);
+      const cadences = tps.map((t) => t.cadence).filter((v) => v !== null);
+      return {
+        ...lap,
+        avgHr: hrs.length ? avgInt(hrs) : null,
+        avgCadence: cadences.length ? avgInt(cadences) : null,
+      };
+    });
+    const hrs = trackpoints.map((t) => t.hr).filter((v) => v !== null);
+
+    return {
+      ...workout,
+      trackpoints,
+      laps,
+      stats: {
+        ...workout.stats,
+        hasHR: hrs.length > 0,
+        hasCadence: trackpoints.some((t) => t.cadence !== null),
+        coverage: { cadence: coverage("cadence"), hr: coverage("hr") },
+      },
+      sensorMerge: {
+        offsetSec: options.offsetSec || 0,
+        hrPoints: filled.hr,
+        cadencePoints: filled.cadence,
+        avgHr: hrs.length ? avgInt(hrs) : null,
+        maxHr: hrs.length ? Math.max(...hrs) : null,
+      },
+    };
+  }
+
   // ─── Expose public API ────────────────────────────────────────────────────────
 
-  global.PerfProConverter = { parse3dp, buildTcx, buildFit, extractStartTime };
+  global.PerfProConverter = {
+    parse3dp,
+    build3dp,
+    buildTcx,
+    buildPwx,
+    buildGpx,
+    buildCsv,
+    buildGcJson,
+    buildZwo,
+    buildErg,
+    buildMrc,
+    buildFit,
+    parseFit,
+    analyzePower,
+    computeMeanMax,
+    defaultZones,
+    timeInZones,
+    detectIntervals,
+    intervalLaps,
+    planCompliance,
+    readSensorSamples,
+    mergeSensorData,
+    extractStartTime,
+    registerRecordDecoder,
+    recordLayout,
+    FormatError,
+  };
 })(window);
@@ -1,7 +1,8 @@
 /**
  * tests/converter.test.js
  *
- * Unit tests for the PerfPro .3dp parser and TCX/FIT builders.
+ * Unit tests for the PerfPro .3dp parser, the TCX/FIT builders and the FIT
+ * decoder.
  * Validates that parse3dp, buildTcx, and buildFit produce consistent,
  * correct output for workout time, average power, max power, speed, and distance.
  *
@@ -11,8 +12,10 @@
 import { test, describe, after } from "node:test";
 import assert from "node:assert/strict";
 import { readFileSync } from "node:fs";
+import { spawnSync } from "node:child_process";
 import { join, dirname } from "node:path";
 import { fileURLToPath } from "node:url";
+import { readRecords, offsetStats, pearson } from "../tools/inspect-3dp.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -26,7 +29,33 @@ const converterSrc = readFileSync(
 );
 const mockWindow = {};
 new Function("window", converterSrc)(mockWindow);
-const { parse3dp, buildTcx, buildFit, extractStartTime } =
+const {
+  parse3dp,
+  build3dp,
+  buildTcx,
+  buildPwx,
+  buildGpx,
+  buildCsv,
+  buildGcJson,
+  buildZwo,
+  buildErg,
+  buildMrc,
+  buildFit,
+  parseFit,
+  analyzePower,
+  computeMeanMax,
+  defaultZones,
+  timeInZones,
+  detectIntervals,
+  intervalLaps,
+  planCompliance,
+  readSensorSamples,
+  mergeSensorData,
+  extractStartTime,
+  registerRecordDecoder,
+  recordLayout,
+  FormatError,
+} =
   mockWindow.PerfProConverter;
 
 // ── Fixture definitions ───────────────────────────────────────────────────────
@@ -41,30 +70,36 @@ const FIXTURES_DIR = join(__dirname, "fixtures");
 const EXPECTED = {
   "Over and Under variable intervals": {
     durationSec: 3570,
+    timerSec: 3570,
     avgWatts: 167,
     maxWatts: 361,
     totalDistMeters: 32196.37680053711,
   },
   "No Limits 9": {
     durationSec: 3480,
+    timerSec: 3480,
     avgWatts: 171,
     maxWatts: 425,
     totalDistMeters: 32081.695556640625,
   },
   "5x Ladder (IF=.72)": {
     durationSec: 3600,
+    timerSec: 3600,
     avgWatts: 164,
     maxWatts: 250,
     totalDistMeters: 32819.549560546875,
   },
   "No Limits 10 – Climbing v2": {
     durationSec: 3686,
+    timerSec: 3686,
     avgWatts: 185,
     maxWatts: 301,
     totalDistMeters: 28702.363967895508,
   },
   "Microburst 3": {
-    durationSec: 3351,
+    // Elapsed time includes the 8.7 s pause; the timer leaves it out
+    durationSec: 3360,
+    timerSec: 3351,
     avgWatts: 162,
     maxWatts: 424,
     totalDistMeters: 31146.10481262207,
@@ -94,132 +129,151 @@ const FIXTURES = [
   },
 ];
 
+/** A fresh parse of the fixture with this label, so tests can edit it. */
+function parseFixture(label) {
+  return parse3dp(
+    new Uint8Array(
+      readFileSync(
+        join(FIXTURES_DIR, FIXTURES.find((f) => f.label === label).file)
+      )
+    ).buffer
+  );
+}
+
 // ── TCX helpers ───────────────────────────────────────────────────────────────
 
 /**
  * Extract the key summary metrics from a TCX string.
- * Reads from the <Lap> element and its <Extensions> block.
+ * Durations and distances are summed over every <Lap>; max power is the
+ * highest lap <ns3:MaxWatts>; average power is recomputed from the trackpoint
+ * <ns3:Watts> values (zeros excluded, as in parse3dp).
  */
 function parseTcxStats(tcxStr) {
-  const first = (tag) => {
-    const m = tcxStr.match(new RegExp(`<${tag}>([^<]+)</${tag}>`));
-    return m ? parseFloat(m[1]) : null;
-  };
-  const firstNs = (tag) => {
-    const m = tcxStr.match(new RegExp(`<ns3:${tag}>([^<]+)</ns3:${tag}>`));
+  const lapBlocks = tcxStr.split("<Lap ").slice(1);
+  const firstIn = (block, tag) => {
+    const m = block.match(new RegExp(`<${tag}>([^<]+)</${tag}>`));
     return m ? parseFloat(m[1]) : null;
   };
+  const all = (tag) =>
+    [...tcxStr.matchAll(new RegExp(`<${tag}>([^<]+)</${tag}>`, "g"))].map((m) =>
+      parseFloat(m[1])
+    );
+
+  const watts = all("ns3:Watts").filter((w) => w > 0);
   return {
-    durationSec: first("TotalTimeSeconds"),
-    distMeters: first("DistanceMeters"),
-    avgWatts: firstNs("AvgWatts"),
-    maxWatts: firstNs("MaxWatts"),
+    lapCount: lapBlocks.length,
+    // The lap-level <DistanceMeters> precedes the <Track>, so it is the first in each block
+    durationSec: lapBlocks.reduce((s, b) => s + firstIn(b, "TotalTimeSeconds"), 0),
+    distMeters: lapBlocks.reduce((s, b) => s + firstIn(b, "DistanceMeters"), 0),
+    avgWatts: watts.length
+      ? Math.round(watts.reduce((s, w) => s + w, 0) / watts.length)
+      : null,
+    maxWatts: Math.max(...all("ns3:MaxWatts")),
   };
 }
 
 // ── FIT binary helpers ────────────────────────────────────────────────────────
 
 /**
- * Minimal FIT binary parser.
- * Scans definition and data messages and returns the lap (global 19) and
- * session (global 18) summaries, which carry duration, distance, and power.
+ * Summarize a FIT file with the library's own decoder.
+ * Returns every lap (global 19), the session (global 18) summary, which carry
+ * duration, distance, and power, every record (global 20) and event (global
+ * 21), the file_creator (global 49), device_info (global 23) and sport
+ * (global 12) messages. Fields FIT marks as invalid come back as null.
  */
 function parseFitStats(fitBytes) {
   const ab = fitBytes.buffer.slice(
     fitBytes.byteOffset,
     fitBytes.byteOffset + fitBytes.byteLength
   );
-  const view = new DataView(ab);
-
-  const u8 = (off) => view.getUint8(off);
-  const u16 = (off) => view.getUint16(off, true);
-  const u32 = (off) => view.getUint32(off, true);
-
-  const defs = {}; // localType → { globalMsg, fields: [{defNum, size}] }
-  const result = {};
-
-  // FIT file layout: 14-byte header | data records | 2-byte file CRC
-  let pos = 14;
-  const dataEnd = fitBytes.length - 2;
-
-  while (pos < dataEnd) {
-    const hdr = u8(pos);
-
-    // Compressed timestamp records — skip (not generated by our builder)
-    if (hdr & 0x80) {
-      pos++;
-      continue;
-    }
-
-    const isDef = !!(hdr & 0x40);
-    const localType = hdr & 0x0f;
-
-    if (isDef) {
-      // Definition message: header + reserved + arch + globalMsg(2) + fieldCount + fields
-      pos++; // header byte
-      pos++; // reserved
-      pos++; // architecture (0 = LE)
-      const globalMsg = u16(pos);
-      pos += 2;
-      const fieldCount = u8(pos++);
-
-      const fields = [];
-      for (let f = 0; f < fieldCount; f++) {
-        const defNum = u8(pos++);
-        const size = u8(pos++);
-        pos++; // base type
-        fields.push({ defNum, size });
-      }
-      defs[localType] = { globalMsg, fields };
-    } else {
-      // Data message
-      pos++; // header byte
-      const def = defs[localType];
-      if (!def) break;
-
-      const fieldData = {};
-      for (const field of def.fields) {
-        let val;
-        if (field.size === 1) val = u8(pos);
-        else if (field.size === 2) val = u16(pos);
-        else if (field.size === 4) val = u32(pos);
-        else val = null;
-        fieldData[field.defNum] = val;
-        pos += field.size;
-      }
+  const { messages } = parseFit(ab);
+  const ofType = (mesgNum) => messages.filter((m) => m.mesgNum === mesgNum);
 
-      // Lap message (global 19)
-      // field 7 = total_elapsed_time (raw = seconds × 1000)
-      // field 9 = total_distance (raw = meters × 100); 0xffffffff = no data
-      // field 20 = avg_power (watts)
-      // field 21 = max_power (watts)
-      if (def.globalMsg === 19) {
-        const rawDist = fieldData[9];
-        result.lap = {
-          durationSec:
-            fieldData[7] != null ? Math.round(fieldData[7] / 1000) : null,
-          distMeters:
-            rawDist != null && rawDist !== 0xffffffff ? rawDist / 100 : 0,
-          avgWatts: fieldData[20] ?? null,
-          maxWatts: fieldData[21] ?? null,
-        };
-      }
+  // field 7 = total_elapsed_time, 8 = total_timer_time (raw = seconds × 1000)
+  // field 9 = total_distance (raw = meters × 100)
+  const timing = (fields) => ({
+    durationSec: fields[7] != null ? Math.round(fields[7] / 1000) : null,
+    timerSec: fields[8] != null ? Math.round(fields[8] / 1000) : null,
+    distMeters: fields[9] != null ? fields[9] / 100 : 0,
+  });
+  // Lap and session aggregates: { key: field number }
+  const pick = (fields, numbers) =>
+    Object.fromEntries(
+      Object.entries(numbers).map(([key, num]) => [key, fields[num] ?? null])
+    );
 
-      // Session message (global 18) — same field layout
-      if (def.globalMsg === 18) {
-        const rawDist = fieldData[9];
-        result.session = {
-          durationSec:
-            fieldData[7] != null ? Math.round(fieldData[7] / 1000) : null,
-          distMeters:
-            rawDist != null && rawDist !== 0xffffffff ? rawDist / 100 : 0,
-          avgWatts: fieldData[20] ?? null,
-          maxWatts: fieldData[21] ?? null,
-        };
-      }
-    }
+  const result = {
+    // Record message — developer field timestamp_ms, speed 6, enhanced 73
+    records: ofType(20).map(({ fields, developerFields }) => ({
+      timestamp: fields[253],
+      timestampMs: developerFields.timestamp_ms ?? null,
+      watts: fields[7],
+      speed: fields[6] ?? null,
+      enhancedSpeed: fields[73] ?? null,
+    })),
+    laps: ofType(19).map(({ fields }) => ({
+      ...timing(fields),
+      subSport: fields[39] ?? null,
+      ...pick(fields, {
+        avgWatts: 19,
+        maxWatts: 20,
+        calories: 11,
+        avgSpeed: 13,
+        maxSpeed: 14,
+        avgHr: 15,
+        maxHr: 16,
+        avgCadence: 17,
+        maxCadence: 18,
+        normalizedPower: 33,
+        totalWork: 41,
+        enhancedAvgSpeed: 110,
+      }),
+    })),
+    // Event message — field 0 = event, 1 = event_type
+    events: ofType(21).map(({ fields }) => ({
+      timestamp: fields[253],
+      event: fields[0],
+      eventType: fields[1],
+    })),
+    devices: ofType(23).map(({ fields }) => ({
+      index: fields[0],
+      deviceType: fields[1],
+      softwareVersion: fields[5],
+      sourceType: fields[25],
+      productName: fields[27],
+    })),
+  };
+  for (const { fields } of ofType(49)) {
+    result.fileCreator = { softwareVersion: fields[0] };
+  }
+  for (const { fields } of ofType(12)) {
+    result.sport = { sport: fields[0], subSport: fields[1] };
+  }
+  for (const { fields } of ofType(18)) {
+    result.session = {
+      ...timing(fields),
+      numLaps: fields[26] ?? null,
+      sport: fields[5] ?? null,
+      subSport: fields[6] ?? null,
+      ...pick(fields, {
+        trainingStressScore: 35,
+        intensityFactor: 36,
+        thresholdPower: 45,
+        avgWatts: 20,
+        maxWatts: 21,
+        calories: 11,
+        avgSpeed: 14,
+        maxSpeed: 15,
+        avgHr: 16,
+        maxHr: 17,
+        avgCadence: 18,
+        maxCadence: 19,
+        normalizedPower: 34,
+        totalWork: 48,
+        enhancedAvgSpeed: 124,
+      }),
+    };
   }
-
   return result;
 }
 
@@ -259,12 +313,12 @@ function printReport(allResults) {
 
   for (const { fixture, parsedWorkout, tcxStats, fitStats } of allResults) {
     const p = parsedWorkout.stats;
-    const l = fitStats.lap ?? {};
+    const l = fitStats.session ?? {};
     const exp = EXPECTED[fixture.label];
 
     console.log(`\n  ┌─ ${fixture.label}`);
     console.log(
-      `  │ ${"Metric".padEnd(16)} │ ${"Expected".padEnd(26)} │ ${"Parsed (.3dp)".padEnd(26)} │ ${"TCX".padEnd(26)} │ FIT (lap)`
+      `  │ ${"Metric".padEnd(16)} │ ${"Expected".padEnd(26)} │ ${"Parsed (.3dp)".padEnd(26)} │ ${"TCX".padEnd(26)} │ FIT (session)`
     );
     console.log(
       `  │ ${"-".repeat(16)} │ ${"-".repeat(26)} │ ${"-".repeat(26)} │ ${"-".repeat(26)} │ ${"-".repeat(26)}`
@@ -385,13 +439,89 @@ for (const result of allResults) {
       }
     });
 
+    test("parse3dp: footer intervals are decoded", () => {
+      const { intervals, workoutName } = parsedWorkout;
+      assert.ok(intervals.length > 0, "Every fixture has a structured footer");
+      assert.ok(
+        fixture.file.startsWith(workoutName.replace(/\//g, "-")),
+        `workoutName "${workoutName}" should match the file name`
+      );
+      for (const iv of intervals) {
+        assert.ok(iv.name.length > 0, "interval name should be non-empty");
+        assert.ok(iv.endSec > iv.startSec, `"${iv.label}" ends before it starts`);
+        assert.ok(iv.target.startPct > 0 && iv.target.endPct > 0);
+      }
+    });
+
+    test("parse3dp: laps are contiguous and cover the whole ride", () => {
+      const { laps, stats } = parsedWorkout;
+      assert.strictEqual(laps[0].startSec, 0);
+      for (let i = 1; i < laps.length; i++) {
+        assert.strictEqual(laps[i].startSec, laps[i - 1].endSec);
+      }
+      assert.strictEqual(laps[laps.length - 1].endSec, stats.durationSec);
+      const dist = laps.reduce((s, l) => s + l.distMeters, 0);
+      assert.ok(Math.abs(dist - stats.totalDistMeters) < 0.001);
+    });
+
+    test("parse3dp: header metadata is decoded", () => {
+      const { metadata } = parsedWorkout;
+      assert.strictEqual(metadata.ftpWatts, 240);
+      // 205 lb stored as kilograms
+      assert.ok(Math.abs(metadata.riderWeightKg * 2.20462 - 205) < 0.01);
+      const fromName = extractStartTime(fixture.file);
+      fromName.setSeconds(0);
+      assert.strictEqual(metadata.startedAt.getTime(), fromName.getTime());
+      assert.ok(metadata.unknown.every((u) => typeof u.hex === "string"));
+    });
+
+    test("parse3dp: no sensor means no coverage", () => {
+      assert.deepStrictEqual(parsedWorkout.stats.coverage, {
+        cadence: 0,
+        hr: 0,
+      });
+    });
+
+    test("parse3dp: format version is read from the header", () => {
+      assert.strictEqual(parsedWorkout.formatVersion, 2);
+    });
+
+    test("parse3dp: header totals agree with the records", () => {
+      assert.deepStrictEqual(parsedWorkout.warnings, []);
+    });
+
+    test("parse3dp: diagnostics point at real records", () => {
+      const { diagnostics } = parsedWorkout;
+      // Every fixture ends with exactly one corrupt sentinel record
+      const sentinels = diagnostics.filter((d) => d.code === "sentinel-record");
+      assert.strictEqual(sentinels.length, 1);
+      for (const d of diagnostics) {
+        assert.ok(d.message, `${d.code} has no message`);
+        const recordStart = 0x110 + d.recordIndex * 48;
+        assert.ok(d.offset >= recordStart && d.offset < recordStart + 48);
+      }
+    });
+
+    test("parse3dp: timer time leaves out the pauses", () => {
+      const { stats, laps, pauses } = parsedWorkout;
+      assert.strictEqual(stats.timerSec, expected.timerSec);
+      assert.strictEqual(
+        stats.pausedSec,
+        pauses.reduce((s, p) => s + p.endSec - p.startSec, 0)
+      );
+      assert.strictEqual(
+        laps.reduce((s, l) => s + l.timerSec, 0),
+        stats.timerSec
+      );
+    });
+
     // ── TCX validation ─────────────────────────────────────────────────────
 
-    test("TCX: duration matches baseline", () => {
+    test("TCX: timer time matches baseline", () => {
       assert.strictEqual(
         tcxStats.durationSec,
-        expected.durationSec,
-        `TCX TotalTimeSeconds=${tcxStats.durationSec} — expected baseline ${expected.durationSec}`
+        expected.timerSec,
+        `TCX TotalTimeSeconds=${tcxStats.durationSec} — expected baseline ${expected.timerSec}`
       );
     });
 
@@ -419,6 +549,10 @@ for (const result of allResults) {
       );
     });
 
+    test("TCX: one <Lap> per workout lap", () => {
+      assert.strictEqual(tcxStats.lapCount, parsedWorkout.laps.length);
+    });
+
     test("TCX: well-formed XML with required elements", () => {
       assert.ok(
         tcxStr.includes("<TrainingCenterDatabase"),
@@ -453,70 +587,2269 @@ for (const result of allResults) {
       );
     });
 
-    test("FIT: contains a lap message", () => {
-      assert.ok(
-        fitStats.lap,
-        "FIT should contain a parsed lap message (global 19)"
-      );
-    });
-
-    test("FIT: lap duration matches baseline", () => {
-      assert.ok(fitStats.lap, "FIT should have a lap message");
+    test("FIT: one lap message per workout lap", () => {
       assert.strictEqual(
-        fitStats.lap.durationSec,
-        expected.durationSec,
-        `FIT lap durationSec=${fitStats.lap?.durationSec} — expected baseline ${expected.durationSec}`
+        fitStats.laps.length,
+        parsedWorkout.laps.length,
+        `FIT has ${fitStats.laps.length} lap messages — expected ${parsedWorkout.laps.length}`
       );
+      assert.strictEqual(fitStats.session?.numLaps, parsedWorkout.laps.length);
     });
 
-    test("FIT: lap avgWatts matches baseline", () => {
-      assert.ok(fitStats.lap, "FIT should have a lap message");
+    test("FIT: lap durations add up to baseline", () => {
+      const total = fitStats.laps.reduce((s, l) => s + l.durationSec, 0);
       assert.strictEqual(
-        fitStats.lap.avgWatts,
-        expected.avgWatts,
-        `FIT lap avgWatts=${fitStats.lap?.avgWatts} — expected baseline ${expected.avgWatts}`
+        total,
+        expected.durationSec,
+        `FIT lap durations sum to ${total} — expected baseline ${expected.durationSec}`
       );
+      const timer = fitStats.laps.reduce((s, l) => s + l.timerSec, 0);
+      assert.strictEqual(timer, expected.timerSec);
     });
 
-    test("FIT: lap maxWatts matches baseline", () => {
-      assert.ok(fitStats.lap, "FIT should have a lap message");
+    test("FIT: highest lap maxWatts matches baseline", () => {
+      const lapMax = Math.max(...fitStats.laps.map((l) => l.maxWatts));
       assert.strictEqual(
-        fitStats.lap.maxWatts,
+        lapMax,
         expected.maxWatts,
-        `FIT lap maxWatts=${fitStats.lap?.maxWatts} — expected baseline ${expected.maxWatts}`
+        `FIT lap maxWatts=${lapMax} — expected baseline ${expected.maxWatts}`
       );
     });
 
-    test("FIT: lap distance matches baseline (within 0.01m)", () => {
-      assert.ok(fitStats.lap, "FIT should have a lap message");
-      const fitDist = fitStats.lap.distMeters ?? 0;
-      // FIT stores distance as integer centimeters, so rounding error < 0.01m
+    test("FIT: lap distances add up to baseline (within 0.01m per lap)", () => {
+      const total = fitStats.laps.reduce((s, l) => s + l.distMeters, 0);
+      // Each lap is rounded to integer centimeters independently
       assert.ok(
-        Math.abs(fitDist - expected.totalDistMeters) < 0.01,
-        `FIT lap distMeters=${fitDist} — expected baseline ${expected.totalDistMeters} (diff=${Math.abs(fitDist - expected.totalDistMeters).toFixed(4)}m)`
+        Math.abs(total - expected.totalDistMeters) < 0.01 * fitStats.laps.length,
+        `FIT lap distances sum to ${total} — expected baseline ${expected.totalDistMeters}`
       );
     });
 
-    test("FIT: session duration matches lap duration", () => {
+    test("FIT: session duration matches baseline", () => {
       assert.ok(fitStats.session, "FIT should have a session message");
       assert.strictEqual(
         fitStats.session.durationSec,
-        fitStats.lap?.durationSec,
-        `FIT session durationSec=${fitStats.session?.durationSec} should match lap durationSec=${fitStats.lap?.durationSec}`
+        expected.durationSec,
+        `FIT session durationSec=${fitStats.session?.durationSec} — expected baseline ${expected.durationSec}`
       );
+      assert.strictEqual(fitStats.session.timerSec, expected.timerSec);
     });
 
-    test("FIT: session avgWatts matches lap avgWatts", () => {
+    test("FIT: timer events bracket the ride and every pause", () => {
+      const timer = fitStats.events.filter((e) => e.event === 0);
+      const types = timer.map((e) => e.eventType);
+      // start, then a stop_all/start pair per pause, then the final stop_all
+      assert.deepStrictEqual(types, [
+        0,
+        ...parsedWorkout.pauses.flatMap(() => [4, 0]),
+        4,
+      ]);
+      const stamps = timer.map((e) => e.timestamp);
+      assert.deepStrictEqual(stamps, [...stamps].sort((a, b) => a - b));
+    });
+
+    test("FIT: session avgWatts matches baseline", () => {
       assert.ok(fitStats.session, "FIT should have a session message");
       assert.strictEqual(
         fitStats.session.avgWatts,
-        fitStats.lap?.avgWatts,
-        `FIT session avgWatts=${fitStats.session?.avgWatts} should match lap avgWatts=${fitStats.lap?.avgWatts}`
+        expected.avgWatts,
+        `FIT session avgWatts=${fitStats.session?.avgWatts} — expected baseline ${expected.avgWatts}`
+      );
+    });
+
+    test("FIT: session maxWatts matches baseline", () => {
+      assert.ok(fitStats.session, "FIT should have a session message");
+      assert.strictEqual(
+        fitStats.session.maxWatts,
+        expected.maxWatts,
+        `FIT session maxWatts=${fitStats.session?.maxWatts} — expected baseline ${expected.maxWatts}`
+      );
+    });
+
+    test("FIT: session distance matches baseline (within 0.01m)", () => {
+      assert.ok(fitStats.session, "FIT should have a session message");
+      // FIT stores distance as integer centimeters, so rounding error < 0.01m
+      assert.ok(
+        Math.abs(fitStats.session.distMeters - expected.totalDistMeters) < 0.01,
+        `FIT session distMeters=${fitStats.session.distMeters} — expected baseline ${expected.totalDistMeters}`
       );
     });
   });
 }
 
+// ── Header cross-check ────────────────────────────────────────────────────────
+
+describe("Header cross-check", () => {
+  test("warns when the header distance disagrees with the records", () => {
+    const buf = new Uint8Array(
+      readFileSync(join(FIXTURES_DIR, FIXTURES[0].file))
+    );
+    new DataView(buf.buffer, buf.byteOffset).setFloat32(0x74, 1000, true);
+    const { warnings } = parse3dp(buf.buffer);
+    assert.deepStrictEqual(
+      warnings.map((w) => w.code),
+      ["header-distance"]
+    );
+  });
+});
+
+// ── Pauses ────────────────────────────────────────────────────────────────────
+
+describe("Pauses", () => {
+  const fixtureBytes = (label) =>
+    new Uint8Array(
+      readFileSync(
+        join(FIXTURES_DIR, FIXTURES.find((f) => f.label === label).file)
+      )
+    );
+  // Apply fn(view, recordOffset, index) to every data record
+  const eachRecord = (buf, fn) => {
+    const view = new DataView(buf.buffer, buf.byteOffset);
+    for (let i = 0, off = 0x110; off + 48 <= buf.length; i++, off += 48) {
+      if (buf[off + 2] !== 0x01 || buf[off + 3] !== 0x00) break;
+      fn(view, off, i);
+    }
+  };
+
+  test("footer PAUSE marker is decoded and its clock rewind undone", () => {
+    const workout = parse3dp(fixtureBytes("Microburst 3").buffer);
+    assert.deepStrictEqual(workout.pauses, [
+      { startSec: 461, endSec: 470, source: "footer" },
+    ]);
+    const codes = workout.diagnostics.map((d) => d.code);
+    assert.strictEqual(
+      codes.filter((c) => c === "recorded-while-paused").length,
+      15
+    );
+    assert.ok(codes.includes("timestamp-backwards"));
+    // Nothing was recorded while stopped, and time only moves forward
+    const secs = workout.trackpoints.map((t) => t.sec);
+    assert.ok(!secs.some((s) => s > 461 && s < 469));
+    assert.deepStrictEqual(secs, [...secs].sort((a, b) => a - b));
+  });
+
+  test("a timestamp gap is a pause", () => {
+    const buf = fixtureBytes("No Limits 9");
+    const base = parse3dp(buf.slice().buffer).stats;
+    // Stop for a minute after record 1000, with the clock running on
+    eachRecord(buf, (view, off, i) => {
+      if (i > 1000 && i < 6265) {
+        view.setUint32(off + 32, view.getUint32(off + 32, true) + 60000, true);
+      }
+    });
+    const workout = parse3dp(buf.buffer);
+    assert.strictEqual(workout.pauses.length, 1);
+    assert.strictEqual(workout.pauses[0].source, "gap");
+    assert.strictEqual(workout.stats.durationSec, base.durationSec + 60);
+    // The pause spans record to record, so it may swallow one sample interval
+    assert.ok(Math.abs(workout.stats.timerSec - base.timerSec) <= 1);
+  });
+
+  test("zero power with no cadence is a stop", () => {
+    const buf = fixtureBytes("No Limits 9");
+    // About 30 s at zero watts
+    eachRecord(buf, (view, off, i) => {
+      if (i >= 2000 && i < 2055) view.setUint16(off + 4, 0, true);
+    });
+    const { pauses, stats } = parse3dp(buf.buffer);
+    assert.strictEqual(pauses.length, 1);
+    assert.strictEqual(pauses[0].source, "stopped");
+    assert.ok(pauses[0].endSec - pauses[0].startSec >= 29);
+    assert.strictEqual(stats.timerSec, stats.durationSec - stats.pausedSec);
+  });
+});
+
+// ── Format version ────────────────────────────────────────────────────────────
+
+describe("Format version", () => {
+  const fixture = () =>
+    new Uint8Array(readFileSync(join(FIXTURES_DIR, FIXTURES[0].file)));
+  const rejects = (buf, code) =>
+    assert.throws(
+      () => parse3dp(buf.buffer),
+      (err) => err instanceof FormatError && err.code === code
+    );
+
+  test("a file without the magic or identifier is rejected", () => {
+    const noMagic = fixture();
+    noMagic[0] = 0x00;
+    rejects(noMagic, "not-3dp");
+    const noIdentifier = fixture();
+    noIdentifier.set([0x6a, 0x75, 0x6e, 0x6b], 4); // "junk"
+    rejects(noIdentifier, "not-3dp");
+  });
+
+  test("an unknown version fails with a descriptive error", () => {
+    const buf = fixture();
+    buf[2] = 7;
+    assert.throws(
+      () => parse3dp(buf.buffer),
+      (err) =>
+        err instanceof FormatError &&
+        err.code === "unsupported-version" &&
+        err.version === 7 &&
+        /version 7/.test(err.message)
+    );
+  });
+
+  test("a tiny file is rejected as too small", () => {
+    rejects(fixture().slice(0, 6), "too-small");
+    rejects(fixture().slice(0, 0x120), "too-small");
+  });
+
+  test("registered decoders handle other versions", () => {
+    // A made-up layout: 16-byte records from 0x20, flagged by 0xaa
+    registerRecordDecoder(9, {
+      name: "test layout",
+      recordStart: 0x20,
+      recordSize: 16,
+      isDataRecord: (bytes, off) => bytes[off] === 0xaa,
+      readRecord: (bytes, off) => {
+        const view = new DataView(bytes.buffer, bytes.byteOffset + off);
+        return {
+          ms: view.getUint32(4, true),
+          watts: view.getUint16(8, true),
+          cadence: 90,
+          hr: 50,
+          distKm: view.getFloat32(12, true),
+          marker: 0,
+        };
+      },
+      readHeader: () => ({}),
+    });
+
+    const buf = new Uint8Array(0x20 + 10 * 16);
+    buf.set([0x5e, 0x00, 0x09, 0x00, 0x70, 0x65, 0x72, 0x66]); // version 9, "perf"
+    const view = new DataView(buf.buffer);
+    for (let i = 0; i < 10; i++) {
+      const off = 0x20 + i * 16;
+      buf[off] = 0xaa;
+      view.setUint32(off + 4, i * 1000, true);
+      view.setUint16(off + 8, 100 + i, true);
+      view.setFloat32(off + 12, i * 0.01, true);
+    }
+
+    const workout = parse3dp(buf.buffer);
+    assert.strictEqual(workout.formatVersion, 9);
+    assert.strictEqual(workout.trackpoints.length, 10);
+    assert.strictEqual(workout.stats.maxWatts, 109);
+    assert.strictEqual(workout.stats.durationSec, 9);
+    assert.deepStrictEqual(workout.warnings, []);
+  });
+
+  test("incomplete decoders are rejected when they are registered", () => {
+    const decoder = {
+      name: "test layout",
+      recordStart: 0x20,
+      recordSize: 16,
+      isDataRecord: () => true,
+      readRecord: () => ({}),
+      readHeader: () => ({}),
+    };
+    const bad = [
+      [null, /version 10 is missing/],
+      [{ ...decoder, recordStart: undefined }, /recordStart as a positive/],
+      [{ ...decoder, recordSize: 0 }, /recordSize as a positive integer/],
+      [{ ...decoder, recordSize: 12.5 }, /recordSize as a positive integer/],
+      [{ ...decoder, isDataRecord: true }, /needs isDataRecord\(\)/],
+      [{ ...decoder, readRecord: undefined }, /needs readRecord\(\)/],
+    ];
+    for (const [candidate, message] of bad) {
+      assert.throws(() => registerRecordDecoder(10, candidate), {
+        name: "TypeError",
+        message,
+      });
+    }
+    // Nothing was registered for the version
+    const buf = new Uint8Array(0x200);
+    buf.set([0x5e, 0x00, 0x0a, 0x00, 0x70, 0x65, 0x72, 0x66]);
+    assert.throws(() => parse3dp(buf.buffer), {
+      code: "unsupported-version",
+    });
+  });
+});
+
+// ── Diagnostics ───────────────────────────────────────────────────────────────
+
+describe("Diagnostics", () => {
+  const fixture = () =>
+    new Uint8Array(readFileSync(join(FIXTURES_DIR, FIXTURES[0].file)));
+  const recordOffset = (i) => 0x110 + i * 48;
+  const codesOf = (buf) =>
+    parse3dp(buf.buffer).diagnostics.map((d) => [d.code, d.recordIndex]);
+
+  test("bad distance floats are reported", () => {
+    const buf = fixture();
+    const view = new DataView(buf.buffer);
+    view.setFloat32(recordOffset(100) + 40, NaN, true);
+    view.setFloat32(recordOffset(200) + 40, -1, true);
+    view.setFloat32(recordOffset(300) + 40, 0.001, true);
+    // The dip at record 300 is reported once — record 301 climbs back past it
+    assert.deepStrictEqual(
+      codesOf(buf).filter(([c]) => c !== "sentinel-record"),
+      [
+        ["invalid-float", 100],
+        ["invalid-float", 200],
+        ["distance-decreasing", 300],
+      ]
+    );
+  });
+
+  test("a timestamp that steps back is reported", () => {
+    const buf = fixture();
+    const view = new DataView(buf.buffer);
+    const off = recordOffset(500) + 32;
+    view.setUint32(off, view.getUint32(off, true) - 2000, true);
+    assert.deepStrictEqual(
+      codesOf(buf).filter(([c]) => c === "timestamp-backwards"),
+      [["timestamp-backwards", 500]]
+    );
+  });
+
+  test("a file cut off inside a record is reported", () => {
+    const buf = fixture().slice(0, recordOffset(1000) + 20);
+    const { diagnostics } = parse3dp(buf.buffer);
+    assert.deepStrictEqual(diagnostics, [
+      {
+        code: "truncated-record",
+        offset: recordOffset(1000),
+        recordIndex: 1000,
+        message:
+          "File ends 20 bytes into a 48-byte record — the partial record is ignored.",
+      },
+    ]);
+  });
+});
+
+// ── Sensor dropouts ───────────────────────────────────────────────────────────
+
+describe("Sensor dropouts", () => {
+  // The fixtures have no sensors, so give every record a varying HR and cadence
+  const withSensors = (edit) => {
+    const buf = new Uint8Array(
+      readFileSync(join(FIXTURES_DIR, FIXTURES[0].file))
+    );
+    for (let i = 0, off = 0x110; off + 48 <= buf.length; i++, off += 48) {
+      if (buf[off + 2] !== 0x01 || buf[off + 3] !== 0x00) break;
+      buf[off + 46] = buf[off + 47] = 120 + (i % 20);
+      buf[off + 38] = buf[off + 39] = 80 + (i % 7);
+    }
+    edit(buf);
+    return buf.buffer;
+  };
+  const setRecords = (buf, from, to, fn) => {
+    for (let i = from; i <= to; i++) fn(0x110 + i * 48);
+  };
+  const damaged = (buf) => {
+    // ~28 s of the 50 bpm default, ~3 s of zero HR, ~2 s of zero cadence
+    // while pedalling, and ~2 s of coasting
+    setRecords(buf, 1000, 1050, (o) => (buf[o + 46] = buf[o + 47] = 50));
+    setRecords(buf, 2000, 2005, (o) => (buf[o + 46] = buf[o + 47] = 0));
+    setRecords(buf, 3000, 3003, (o) => (buf[o + 38] = buf[o + 39] = 0));
+    setRecords(buf, 4000, 4003, (o) => {
+      buf[o + 38] = buf[o + 39] = 0;
+      buf[o + 4] = buf[o + 5] = 0;
+    });
+  };
+  const buffer = withSensors(damaged);
+  const load = (options) => parse3dp(buffer.slice(0), options);
+  // Whole seconds covered by records `from`..`to` (no pauses in this fixture)
+  const secondsOf = (from, to) => {
+    const view = new DataView(buffer);
+    const ms = (i) => view.getUint32(0x110 + i * 48 + 32, true);
+    return [Math.floor(ms(from) / 1000), Math.floor(ms(to) / 1000)];
+  };
+
+  test("default-value and zero runs become null", () => {
+    const workout = load();
+    assert.ok(workout.stats.hasHR && workout.stats.hasCadence);
+    assert.ok(!workout.trackpoints.some((t) => t.hr === 50 || t.hr === 0));
+    const [from, to] = secondsOf(1001, 1049);
+    for (const tp of workout.trackpoints) {
+      if (tp.sec >= from && tp.sec <= to) assert.strictEqual(tp.hr, null);
+    }
+  });
+
+  test("dropouts are listed in the diagnostics", () => {
+    const runs = load().diagnostics.filter((d) => d.code.endsWith("-dropout"));
+    assert.deepStrictEqual(
+      runs.map((d) => [d.code, d.recordIndex]),
+      [
+        ["hr-dropout", 1000],
+        ["hr-dropout", 2000],
+        ["cadence-dropout", 3000],
+      ]
+    );
+  });
+
+  test("coverage is reported per channel", () => {
+    const { stats } = load();
+    const n = stats.recordCount;
+    assert.strictEqual(
+      stats.coverage.hr,
+      Math.round(((n - 51 - 6) / n) * 1000) / 10
+    );
+    assert.strictEqual(
+      stats.coverage.cadence,
+      Math.round(((n - 8) / n) * 1000) / 10
+    );
+  });
+
+  test("short gaps can be interpolated, long ones and coasting stay empty", () => {
+    const workout = load({ interpolateGapsSec: 5 });
+    const hrIn = ([from, to]) =>
+      workout.trackpoints
+        .filter((t) => t.sec >= from && t.sec <= to)
+        .map((t) => t.hr);
+    assert.ok(hrIn(secondsOf(2000, 2005)).every((v) => v !== null));
+    assert.ok(hrIn(secondsOf(1001, 1049)).every((v) => v === null));
+    const [from, to] = secondsOf(4001, 4002);
+    const coasting = workout.trackpoints.filter(
+      (t) => t.sec >= from && t.sec <= to
+    );
+    assert.ok(coasting.every((t) => t.cadence === null));
+  });
+});
+
+// ── TCX lap summary ───────────────────────────────────────────────────────────
+
+describe("TCX lap summary", () => {
+  const startTime = new Date("2026-01-01T12:00:00Z");
+  const workout = () =>
+    parse3dp(
+      new Uint8Array(readFileSync(join(FIXTURES_DIR, FIXTURES[1].file))).buffer
+    );
+  const withSensors = () => {
+    const parsed = workout();
+    parsed.trackpoints.forEach((tp, i) => {
+      tp.hr = 120 + (i % 40);
+      tp.cadence = 80 + (i % 20);
+    });
+    return parsed;
+  };
+  const lapBlocks = (tcx) => tcx.split("<Lap ").slice(1);
+  const value = (block, tag) => {
+    const m = block.match(new RegExp(`<${tag}>(?:<Value>)?([\\d.]+)`));
+    return m ? Number(m[1]) : null;
+  };
+
+  test("cadence is the standard trackpoint element", () => {
+    const tcx = buildTcx(withSensors(), startTime);
+    assert.doesNotMatch(tcx, /RunCadence/);
+    assert.match(tcx, /<HeartRateBpm><Value>120<\/Value><\/HeartRateBpm>/);
+    assert.match(tcx, /<\/HeartRateBpm>\n\s*<Cadence>80<\/Cadence>/);
+  });
+
+  test("laps carry heart rate, cadence, speed and calories", () => {
+    const parsed = withSensors();
+    const blocks = lapBlocks(buildTcx(parsed, startTime));
+    assert.strictEqual(blocks.length, parsed.laps.length);
+    const first = blocks[0];
+    const points = parsed.trackpoints.filter((t) => t.lap === 0);
+    const avg = (xs) => Math.round(xs.reduce((a, b) => a + b, 0) / xs.length);
+
+    const hrs = points.map((t) => t.hr);
+    assert.strictEqual(value(first, "AverageHeartRateBpm"), avg(hrs));
+    assert.strictEqual(value(first, "MaximumHeartRateBpm"), Math.max(...hrs));
+    const cadences = points.map((t) => t.cadence);
+    assert.strictEqual(value(first, "Cadence"), avg(cadences));
+    assert.ok(value(first, "MaximumSpeed") > value(first, "ns3:AvgSpeed"));
+    assert.strictEqual(
+      value(first, "ns3:AvgSpeed"),
+      +(parsed.laps[0].distMeters / parsed.laps[0].timerSec).toFixed(3)
+    );
+
+    // Calories ≈ kJ of work ≈ average power × time / 1000
+    const calories = blocks.reduce((sum, b) => sum + value(b, "Calories"), 0);
+    const kj = (parsed.stats.avgWatts * parsed.stats.timerSec) / 1000;
+    assert.ok(Math.abs(calories - kj) / kj < 0.05, `${calories} kcal`);
+  });
+
+  test("lap elements follow the schema order", () => {
+    const [first] = lapBlocks(buildTcx(withSensors(), startTime));
+    const order = [
+      "TotalTimeSeconds",
+      "DistanceMeters",
+      "MaximumSpeed",
+      "Calories",
+      "AverageHeartRateBpm",
+      "MaximumHeartRateBpm",
+      "Intensity",
+      "Cadence",
+      "TriggerMethod",
+      "Track",
+    ].map((tag) => first.indexOf(`<${tag}>`));
+    assert.deepStrictEqual(order, [...order].sort((a, b) => a - b));
+  });
+
+  test("without sensors the optional lap elements are left out", () => {
+    const [first] = lapBlocks(buildTcx(workout(), startTime));
+    assert.doesNotMatch(first, /HeartRateBpm|<Cadence>/);
+    assert.match(first, /<Calories>[1-9]\d*<\/Calories>/);
+  });
+
+  test("Creator and Author name the converter", () => {
+    const tcx = buildTcx(workout(), startTime);
+    assert.match(
+      tcx,
+      /<Creator xsi:type="Device_t">\s*<Name>PerfPro Converter<\/Name>/
+    );
+    assert.match(
+      tcx,
+      /<Author xsi:type="Application_t">\s*<Name>PerfPro Converter<\/Name>/
+    );
+    assert.match(tcx, /<\/Activities>\n\s*<Author /);
+  });
+});
+
+// ── FIT trainer ride ──────────────────────────────────────────────────────────
+
+describe("FIT trainer ride", () => {
+  const startTime = new Date("2026-01-01T12:00:00Z");
+  const workout = () =>
+    parse3dp(
+      new Uint8Array(readFileSync(join(FIXTURES_DIR, FIXTURES[0].file))).buffer
+    );
+
+  test("sub_sport is indoor cycling by default", () => {
+    const fit = parseFitStats(buildFit(workout(), startTime));
+    assert.deepStrictEqual(fit.sport, { sport: 2, subSport: 6 });
+    assert.strictEqual(fit.session.sport, 2);
+    assert.strictEqual(fit.session.subSport, 6);
+    assert.ok(fit.laps.every((lap) => lap.subSport === 6));
+  });
+
+  test("sub_sport can be virtual activity", () => {
+    const fit = parseFitStats(
+      buildFit(workout(), startTime, { subSport: "virtual_activity" })
+    );
+    assert.strictEqual(fit.sport.subSport, 58);
+    assert.strictEqual(fit.session.subSport, 58);
+  });
+
+  test("device_info names the Computrainer and the creator", () => {
+    const fit = parseFitStats(
+      buildFit(workout(), startTime, { softwareVersion: 123 })
+    );
+    assert.deepStrictEqual(fit.fileCreator, { softwareVersion: 123 });
+    const [creator, trainer] = fit.devices;
+    assert.strictEqual(creator.index, 0);
+    assert.strictEqual(creator.softwareVersion, 123);
+    assert.strictEqual(creator.productName, "PerfPro Converter");
+    assert.strictEqual(trainer.index, 1);
+    assert.strictEqual(trainer.deviceType, 17); // fitness_equipment
+    assert.strictEqual(trainer.productName, "Computrainer");
+  });
+});
+
+// ── FIT record and summary fields ─────────────────────────────────────────────
+
+describe("FIT record and summary fields", () => {
+  const startTime = new Date("2026-01-01T12:00:00Z");
+  const workout = () =>
+    parse3dp(
+      new Uint8Array(readFileSync(join(FIXTURES_DIR, FIXTURES[1].file))).buffer
+    );
+
+  test("records carry speed from the distance covered", () => {
+    const parsed = workout();
+    const { records } = parseFitStats(buildFit(parsed, startTime));
+    assert.strictEqual(records.length, parsed.trackpoints.length);
+    assert.strictEqual(records[0].speed, null);
+    const later = records.slice(1).filter((r) => r.speed !== null);
+    assert.ok(later.length > records.length * 0.9);
+    for (const r of later) assert.strictEqual(r.enhancedSpeed, r.speed);
+
+    // Average of the record speeds is close to distance over time
+    const avg = later.reduce((sum, r) => sum + r.speed, 0) / later.length;
+    const expected =
+      (parsed.stats.totalDistMeters / parsed.stats.timerSec) * 1000;
+    assert.ok(Math.abs(avg - expected) / expected < 0.02, `${avg}`);
+  });
+
+  test("session carries speed, work, calories and normalized power", () => {
+    const parsed = workout();
+    const { session, laps } = parseFitStats(buildFit(parsed, startTime));
+    const { stats } = parsed;
+    assert.strictEqual(
+      session.avgSpeed,
+      Math.round((stats.totalDistMeters / stats.timerSec) * 1000)
+    );
+    assert.strictEqual(session.enhancedAvgSpeed, session.avgSpeed);
+    assert.ok(session.maxSpeed > session.avgSpeed);
+
+    // Work ≈ average power × moving time (the average leaves out zeros)
+    const approx = stats.avgWatts * stats.timerSec;
+    assert.ok(Math.abs(session.totalWork - approx) / approx < 0.05);
+    assert.strictEqual(session.calories, Math.round(session.totalWork / 1000));
+    assert.ok(session.normalizedPower > stats.avgWatts);
+    assert.ok(session.normalizedPower < stats.maxWatts);
+
+    const lapWork = laps.reduce((sum, lap) => sum + lap.totalWork, 0);
+    assert.ok(Math.abs(lapWork - session.totalWork) < laps.length * 500);
+    assert.strictEqual(session.avgHr, null);
+    assert.strictEqual(session.maxCadence, null);
+  });
+
+  test("heart rate and cadence aggregates on laps and session", () => {
+    const parsed = workout();
+    parsed.trackpoints.forEach((tp, i) => {
+      tp.hr = 120 + (i % 40);
+      tp.cadence = 80 + (i % 20);
+    });
+    const { session, laps } = parseFitStats(buildFit(parsed, startTime));
+    assert.strictEqual(session.maxHr, 159);
+    assert.strictEqual(session.maxCadence, 99);
+    const hrs = parsed.trackpoints.map((t) => t.hr);
+    assert.strictEqual(
+      session.avgHr,
+      Math.round(hrs.reduce((a, b) => a + b, 0) / hrs.length)
+    );
+    const firstLap = parsed.trackpoints.filter((t) => t.lap === 0);
+    assert.strictEqual(laps[0].maxHr, Math.max(...firstLap.map((t) => t.hr)));
+    assert.strictEqual(
+      laps[0].avgCadence,
+      Math.round(
+        firstLap.reduce((sum, t) => sum + t.cadence, 0) / firstLap.length
+      )
+    );
+  });
+
+  test("steady power has a normalized power equal to it", () => {
+    const trackpoints = Array.from({ length: 120 }, (_, sec) => ({
+      sec,
+      watts: 200,
+      cadence: null,
+      hr: null,
+      distMeters: sec * 8,
+      lap: 0,
+    }));
+    const stats = {
+      durationSec: 120,
+      timerSec: 120,
+      avgWatts: 200,
+      maxWatts: 200,
+      totalDistMeters: 952,
+    };
+    const { session } = parseFitStats(
+      buildFit({ trackpoints, stats }, startTime)
+    );
+    assert.strictEqual(session.normalizedPower, 200);
+    assert.strictEqual(session.maxSpeed, 8000);
+  });
+});
+
+// ── Native resolution ─────────────────────────────────────────────────────────
+
+describe("Native resolution", () => {
+  const buf = readFileSync(join(FIXTURES_DIR, FIXTURES[0].file));
+  const bytes = () => new Uint8Array(buf).buffer;
+  const perSecond = parse3dp(bytes());
+  const native = parse3dp(bytes(), { nativeResolution: true });
+  const startTime = new Date("2026-01-01T12:00:00");
+
+  test("keeps every raw record with its millisecond time", () => {
+    assert.strictEqual(native.resolution, "native");
+    assert.strictEqual(perSecond.resolution, "1s");
+    assert.ok(native.trackpoints.length > perSecond.trackpoints.length * 1.5);
+    for (const tp of native.trackpoints) {
+      assert.strictEqual(tp.sec, tp.ms / 1000);
+    }
+    const ms = native.trackpoints.map((t) => t.ms);
+    assert.ok(ms.every((v, i) => i === 0 || v > ms[i - 1]));
+  });
+
+  test("stats, pauses and laps don't depend on the resolution", () => {
+    assert.deepStrictEqual(native.stats, perSecond.stats);
+    assert.deepStrictEqual(native.pauses, perSecond.pauses);
+    assert.deepStrictEqual(
+      native.laps.map((l) => [l.startSec, l.endSec, l.maxWatts]),
+      perSecond.laps.map((l) => [l.startSec, l.endSec, l.maxWatts])
+    );
+  });
+
+  test("raw samples keep the peak power that 1 Hz averaging blurs", () => {
+    const peak = (w) => Math.max(...w.trackpoints.map((t) => t.watts));
+    assert.strictEqual(peak(native), native.stats.maxWatts);
+    assert.ok(peak(perSecond) <= peak(native));
+  });
+
+  test("TCX writes fractional-second times", () => {
+    const times = [
+      ...buildTcx(native, startTime).matchAll(/<Time>([^<]+)<\/Time>/g),
+    ].map((m) => m[1]);
+    assert.strictEqual(times.length, native.trackpoints.length);
+    assert.ok(times.every((t) => /\.\d{3}Z$/.test(t)));
+    const parsed = times.map((t) => Date.parse(t));
+    assert.ok(parsed.every((t, i) => i === 0 || t > parsed[i - 1]));
+  });
+
+  test("FIT carries the milliseconds in a developer field", () => {
+    const { records } = parseFitStats(buildFit(native, startTime));
+    assert.strictEqual(records.length, native.trackpoints.length);
+    const startTs = Math.floor(startTime.getTime() / 1000) - 631065600;
+    records.forEach((r, i) => {
+      const sec = r.timestamp - startTs + r.timestampMs / 1000;
+      assert.ok(Math.abs(sec - native.trackpoints[i].sec) < 0.001);
+    });
+  });
+  test("FIT declares protocol 2.0 only when it carries developer data", () => {
+    assert.strictEqual(buildFit(native, startTime)[1], 0x20);
+    assert.strictEqual(buildFit(perSecond, startTime)[1], 0x10);
+  });
+});
+
+// ── FIT decoder ───────────────────────────────────────────────────────────────
+
+/** Wrap FIT message bytes in a 14-byte header and the trailing file CRC. */
+function fitFile(data) {
+  const crc = (bytes) => {
+    let value = 0;
+    for (const byte of bytes) {
+      value ^= byte;
+      for (let bit = 0; bit < 8; bit++) {
+        value = value & 1 ? (value >>> 1) ^ 0xa001 : value >>> 1;
+      }
+    }
+    return value;
+  };
+  const out = new Uint8Array(14 + data.length + 2);
+  const view = new DataView(out.buffer);
+  out[0] = 14;
+  out[1] = 0x20;
+  view.setUint16(2, 2132, true);
+  view.setUint32(4, data.length, true);
+  out.set([0x2e, 0x46, 0x49, 0x54], 8); // ".FIT"
+  view.setUint16(12, crc(out.subarray(0, 12)), true);
+  out.set(data, 14);
+  const end = 14 + data.length;
+  view.setUint16(end, crc(out.subarray(0, end)), true);
+  return out.buffer;
+}
+
+describe("FIT decoder", () => {
+  const startTime = new Date("2026-02-11T18:54:55Z");
+  const microburst = (options) =>
+    parse3dp(
+      new Uint8Array(readFileSync(join(FIXTURES_DIR, FIXTURES[4].file))).buffer,
+      options
+    );
+  const roundTrip = (workout) => {
+    const bytes = buildFit(workout, startTime);
+    return parseFit(bytes.buffer.slice(bytes.byteOffset));
+  };
+
+  test("reads buildFit output back into the same workout", () => {
+    const original = microburst();
+    const fit = roundTrip(original);
+    assert.strictEqual(fit.startTime.getTime(), startTime.getTime());
+    assert.strictEqual(fit.resolution, "1s");
+    assert.strictEqual(fit.trackpoints.length, original.trackpoints.length);
+    fit.trackpoints.forEach((tp, i) => {
+      const src = original.trackpoints[i];
+      assert.strictEqual(tp.sec, src.sec);
+      assert.strictEqual(tp.watts, src.watts);
+      if (src.distMeters !== null) {
+        assert.ok(Math.abs(tp.distMeters - src.distMeters) < 0.01);
+      }
+    });
+    const { recordCount, totalDistMeters, ...rest } = fit.stats;
+    const expected = { ...original.stats };
+    delete expected.recordCount;
+    delete expected.totalDistMeters;
+    assert.deepStrictEqual(rest, expected);
+    assert.strictEqual(recordCount, original.trackpoints.length);
+    assert.ok(
+      Math.abs(totalDistMeters - original.stats.totalDistMeters) < 0.01
+    );
+  });
+
+  test("pauses come back from the timer events", () => {
+    const fit = roundTrip(microburst());
+    assert.deepStrictEqual(fit.pauses, [
+      { startSec: 461, endSec: 470, source: "timer" },
+    ]);
+  });
+
+  test("laps keep their boundaries and averages", () => {
+    const original = microburst();
+    const fit = roundTrip(original);
+    assert.deepStrictEqual(
+      fit.laps.map((l) => [l.startSec, l.endSec, l.timerSec, l.avgWatts]),
+      original.laps.map((l) => [l.startSec, l.endSec, l.timerSec, l.avgWatts])
+    );
+  });
+
+  test("heart rate and cadence survive the round trip", () => {
+    const original = microburst();
+    original.trackpoints.forEach((tp, i) => {
+      tp.hr = i % 10 === 0 ? null : 120 + (i % 40);
+      tp.cadence = 85 + (i % 10);
+    });
+    const fit = roundTrip(original);
+    assert.deepStrictEqual(
+      fit.trackpoints.map((t) => [t.hr, t.cadence]),
+      original.trackpoints.map((t) => [t.hr, t.cadence])
+    );
+    assert.strictEqual(fit.stats.hasHR, true);
+    assert.strictEqual(fit.stats.coverage.cadence, 100);
+    assert.strictEqual(fit.stats.coverage.hr, 90);
+  });
+
+  test("native-resolution files keep their millisecond times", () => {
+    const native = microburst({ nativeResolution: true });
+    const fit = roundTrip(native);
+    assert.strictEqual(fit.resolution, "native");
+    assert.deepStrictEqual(
+      fit.trackpoints.map((t) => t.ms),
+      native.trackpoints.map((t) => t.ms)
+    );
+  });
+
+  test("rejects damaged files", () => {
+    const bytes = buildFit(microburst(), startTime);
+    const rejects = (buffer, code) =>
+      assert.throws(
+        () => parseFit(buffer),
+        (err) => err instanceof FormatError && err.code === code
+      );
+    rejects(new Uint8Array(20).buffer, "not-fit");
+    const flipped = bytes.slice();
+    flipped[1000] ^= 0xff;
+    rejects(flipped.buffer, "bad-crc");
+    rejects(bytes.slice(0, bytes.length - 100).buffer, "truncated");
+    // A data message for local type 0 with no definition before it
+    rejects(fitFile(Uint8Array.from([0x00, 0x01])), "undefined-local-type");
+    // A compressed-timestamp record before any full timestamp
+    const compressedFirst = [
+      0x43, 0, 1, 0x00, 0x14, 1, 7, 2, 0x84,
+      0x80 | (3 << 5) | 1, 0x00, 0xc8,
+    ];
+    rejects(fitFile(Uint8Array.from(compressedFirst)), "no-timestamp");
+  });
+
+  test("decodes big-endian, compressed-timestamp and developer fields", () => {
+    const data = [
+      // developer_data_id: developer_data_index 0
+      0x40, 0, 1, 0x00, 0xcf, 1, 3, 1, 0x02,
+      0x00, 0,
+      // field_description: index, number, base type, 10-byte name
+      0x41, 0, 1, 0x00, 0xce, 4, 0, 1, 0x02, 1, 1, 0x02, 2, 1, 0x02,
+      3, 10, 0x07,
+      0x01, 0, 0, 0x84, ...Buffer.from("core_temp\0"),
+      // record with timestamp and power, plus developer field 0
+      0x62, 0, 1, 0x00, 0x14, 2, 253, 4, 0x86, 7, 2, 0x84, 1, 0, 2, 0,
+      0x02, 0x00, 0x0f, 0x42, 0x5e, 0x00, 0xc8, 0x01, 0x72,
+      // record without a timestamp, for compressed headers
+      0x63, 0, 1, 0x00, 0x14, 1, 7, 2, 0x84, 1, 0, 2, 0,
+      0x80 | (3 << 5) | 31, 0x00, 0xd2, 0x01, 0x73,
+      0x80 | (3 << 5) | 1, 0x00, 0xdc, 0xff, 0xff,
+    ];
+    const fit = parseFit(fitFile(Uint8Array.from(data)));
+    const records = fit.messages.filter((m) => m.mesgNum === 20);
+    assert.deepStrictEqual(
+      records.map((m) => [m.fields[253], m.fields[7]]),
+      [
+        [1000030, 200],
+        [1000031, 210],
+        [1000033, 220],
+      ]
+    );
+    assert.deepStrictEqual(
+      records.map((m) => m.developerFields.core_temp),
+      [370, 371, null]
+    );
+    assert.deepStrictEqual(
+      fit.trackpoints.map((t) => [t.sec, t.watts]),
+      [
+        [0, 200],
+        [1, 210],
+        [3, 220],
+      ]
+    );
+    assert.strictEqual(fit.stats.durationSec, 3);
+  });
+});
+
+// ── Power analysis ────────────────────────────────────────────────────────────
+
+describe("Power analysis", () => {
+  const startTime = new Date("2026-01-01T12:00:00Z");
+  const workout = () =>
+    parse3dp(
+      new Uint8Array(readFileSync(join(FIXTURES_DIR, FIXTURES[1].file))).buffer
+    );
+  const steady = (watts, seconds) => ({
+    trackpoints: Array.from({ length: seconds + 1 }, (_, sec) => ({
+      sec,
+      watts,
+      cadence: null,
+      hr: null,
+      distMeters: null,
+      lap: 0,
+    })),
+    stats: { durationSec: seconds, timerSec: seconds, avgWatts: watts },
+  });
+
+  test("an hour at FTP is IF 1.00 and 100 TSS", () => {
+    assert.deepStrictEqual(analyzePower(steady(200, 3600), { ftpWatts: 200 }), {
+      normalizedPower: 200,
+      variabilityIndex: 1,
+      intensityFactor: 1,
+      trainingStressScore: 100,
+      workKj: 720,
+      ftpWatts: 200,
+    });
+  });
+
+  test("uses the FTP from the file unless one is given", () => {
+    const parsed = workout();
+    const fromFile = analyzePower(parsed);
+    assert.strictEqual(fromFile.ftpWatts, 240);
+    assert.ok(fromFile.normalizedPower > parsed.stats.avgWatts * 0.9);
+    assert.ok(fromFile.variabilityIndex > 1);
+    assert.strictEqual(
+      fromFile.intensityFactor,
+      Math.round((fromFile.normalizedPower / 240) * 100) / 100
+    );
+    const hours = parsed.stats.timerSec / 3600;
+    const expectedTss = hours * (fromFile.normalizedPower / 240) ** 2 * 100;
+    assert.ok(Math.abs(fromFile.trainingStressScore - expectedTss) < 0.1);
+
+    const higher = analyzePower(parsed, { ftpWatts: 300 });
+    assert.strictEqual(higher.ftpWatts, 300);
+    assert.ok(higher.trainingStressScore < fromFile.trainingStressScore);
+    assert.strictEqual(higher.normalizedPower, fromFile.normalizedPower);
+  });
+
+  test("IF and TSS need an FTP; NP needs 30 seconds", () => {
+    const noFtp = analyzePower(steady(150, 600));
+    assert.strictEqual(noFtp.normalizedPower, 150);
+    assert.strictEqual(noFtp.intensityFactor, null);
+    assert.strictEqual(noFtp.trainingStressScore, null);
+    const short = analyzePower(steady(150, 20), { ftpWatts: 200 });
+    assert.strictEqual(short.normalizedPower, null);
+    assert.strictEqual(short.trainingStressScore, null);
+    assert.strictEqual(short.workKj, 3);
+  });
+
+  test("FIT session carries TSS, IF and threshold power", () => {
+    const parsed = workout();
+    const { session } = parseFitStats(
+      buildFit(parsed, startTime, { ftpWatts: 250 })
+    );
+    const load = analyzePower(parsed, { ftpWatts: 250 });
+    assert.strictEqual(session.thresholdPower, 250);
+    assert.strictEqual(
+      session.intensityFactor,
+      Math.round((load.normalizedPower / 250) * 1000)
+    );
+    assert.strictEqual(
+      Math.round(session.intensityFactor / 10) / 100,
+      load.intensityFactor
+    );
+    assert.strictEqual(
+      session.trainingStressScore,
+      Math.round(load.trainingStressScore * 10)
+    );
+    assert.strictEqual(session.normalizedPower, load.normalizedPower);
+
+    const noFtp = parseFitStats(
+      buildFit({ ...parsed, metadata: {} }, startTime)
+    ).session;
+    assert.strictEqual(noFtp.thresholdPower, null);
+    assert.strictEqual(noFtp.trainingStressScore, null);
+  });
+
+  test("TCX laps carry NP, IF and TSS outside the LX extension", () => {
+    const parsed = workout();
+    const tcx = buildTcx(parsed, startTime, { ftpWatts: 250 });
+    const extensions = [
+      ...tcx.matchAll(/<Extensions>\n {10}<ns3:LX\b[\s\S]*?<\/Extensions>/g),
+    ].map((m) => m[0]);
+    assert.strictEqual(extensions.length, parsed.laps.length);
+    // LX keeps to the elements Garmin's schema allows
+    for (const block of extensions) {
+      const lx = block.match(/<ns3:LX\b[\s\S]*?<\/ns3:LX>/)[0];
+      const names = [...lx.matchAll(/<ns3:(\w+)>/g)].map((m) => m[1]);
+      assert.ok(
+        names.every((n) => ["AvgSpeed", "AvgWatts", "MaxWatts"].includes(n)),
+        names.join()
+      );
+    }
+    const long = extensions.filter((block) =>
+      block.includes("<pp:NormalizedPower>")
+    );
+    assert.ok(long.length > 0);
+    for (const block of long) {
+      assert.match(block, /<\/ns3:LX>\n {10}<pp:TrainingLoad xmlns:pp="/);
+      assert.match(block, /<pp:IntensityFactor>\d\.\d\d</);
+      assert.match(block, /<pp:TrainingStressScore>\d+\.\d</);
+    }
+    // Without an FTP only NP is left
+    const noFtp = buildTcx({ ...parsed, metadata: {} }, startTime);
+    assert.ok(noFtp.includes("<pp:NormalizedPower>"));
+    assert.ok(!noFtp.includes("<pp:IntensityFactor>"));
+  });
+});
+
+// ── Mean-maximal power ────────────────────────────────────────────────────────
+
+describe("Mean-maximal power", () => {
+  const byDuration = (curve) =>
+    Object.fromEntries(curve.map((p) => [p.durationSec, p]));
+
+  test("finds the best effort for each duration", () => {
+    // 100 W for 10 minutes with a 300 W minute starting at 4:00
+    const trackpoints = Array.from({ length: 600 }, (_, sec) => ({
+      sec,
+      watts: sec >= 240 && sec < 300 ? 300 : 100,
+    }));
+    const curve = byDuration(computeMeanMax(trackpoints));
+    assert.deepStrictEqual(curve[60], {
+      durationSec: 60,
+      watts: 300,
+      startSec: 240,
+      endSec: 300,
+    });
+    assert.strictEqual(curve[5].watts, 300);
+    assert.strictEqual(curve[300].watts, 140);
+    assert.strictEqual(curve[600].watts, 120);
+    assert.strictEqual(curve[1200].watts, null);
+    assert.strictEqual(curve[1200].startSec, null);
+  });
+
+  test("every fixture gives a falling curve topped by its 1 s peak", () => {
+    for (const { file, label } of FIXTURES) {
+      const parsed = parse3dp(
+        new Uint8Array(readFileSync(join(FIXTURES_DIR, file))).buffer
+      );
+      const curve = computeMeanMax(parsed.trackpoints);
+      assert.deepStrictEqual(
+        curve.map((p) => p.durationSec),
+        [1, 5, 30, 60, 300, 600, 1200, 3600]
+      );
+      // maxWatts is the raw peak; the curve works on 1 Hz averages
+      const peak = Math.max(...parsed.trackpoints.map((t) => t.watts));
+      assert.strictEqual(curve[0].watts, peak, label);
+      assert.ok(peak <= parsed.stats.maxWatts, label);
+      const known = curve.filter((p) => p.watts !== null);
+      known.forEach((p, i) => {
+        if (i > 0) assert.ok(p.watts <= known[i - 1].watts, label);
+        assert.ok(p.endSec <= parsed.stats.durationSec + 1, label);
+      });
+      assert.strictEqual(
+        curve[7].watts === null,
+        parsed.stats.durationSec < 3600,
+        label
+      );
+    }
+  });
+
+  test("native samples are averaged into whole seconds", () => {
+    const trackpoints = [
+      { sec: 0.2, watts: 100 },
+      { sec: 0.7, watts: 300 },
+      { sec: 1.4, watts: 250 },
+    ];
+    assert.strictEqual(computeMeanMax(trackpoints)[0].watts, 250);
+    assert.strictEqual(computeMeanMax([])[0].watts, null);
+  });
+});
+
+// ── Training zones ────────────────────────────────────────────────────────────
+
+describe("Training zones", () => {
+  const series = (values, key = "watts") =>
+    values.map((value, sec) => ({ sec, watts: 0, hr: null, [key]: value }));
+
+  test("presets are the Coggan power zones and two HR bases", () => {
+    const power = defaultZones("power");
+    assert.strictEqual(power.length, 7);
+    assert.deepStrictEqual(
+      power.map((z) => z.upToPct),
+      [55, 75, 90, 105, 120, 150, null]
+    );
+    assert.strictEqual(defaultZones("hrLthr").length, 5);
+    assert.strictEqual(defaultZones("hrMax").length, 5);
+    // Each call is a copy that can be edited freely
+    power[0].upToPct = 50;
+    assert.strictEqual(defaultZones("power")[0].upToPct, 55);
+    assert.throws(() => defaultZones("pace"));
+  });
+
+  test("counts the time at each power against the FTP", () => {
+    // FTP 200: Z1 up to 110 W, Z2 111–150, Z3 151–180, Z4 181–210 …
+    const watts = [100, 100, 150, 151, 200, 210, 211, 400, 0];
+    const power = defaultZones("power");
+    const zones = timeInZones(series(watts), "watts", power, 200);
+    assert.deepStrictEqual(
+      zones.map((z) => z.seconds),
+      [2, 1, 1, 2, 1, 0, 1]
+    );
+    assert.deepStrictEqual(
+      zones.slice(0, 2).map((z) => [z.minValue, z.maxValue]),
+      [
+        [0, 110],
+        [111, 150],
+      ]
+    );
+    assert.strictEqual(zones[6].maxValue, null);
+    assert.strictEqual(zones[0].percent, 25);
+  });
+
+  test("skips missing heart rate and paused time", () => {
+    const hr = [120, null, null, 150, 150, 150, 180, 180];
+    const pauses = [{ startSec: 4, endSec: 5 }];
+    const zones = timeInZones(
+      series(hr, "hr"),
+      "hr",
+      defaultZones("hrLthr"),
+      160,
+      pauses
+    );
+    // 120 bpm is 75% of LTHR (Z2), 150 is 94% (Z3), 180 is over 105% (Z5)
+    assert.deepStrictEqual(
+      zones.map((z) => z.seconds),
+      [0, 1, 2, 0, 1]
+    );
+  });
+
+  test("zones whose bounds are out of order are rejected", () => {
+    const power = defaultZones("power");
+    power[2].upToPct = 50; // Z3 ending below Z2
+    assert.throws(
+      () => timeInZones(series([100, 200]), "watts", power, 200),
+      /Zone "Tempo" must end above "Endurance" \(75%\)/
+    );
+    const open = defaultZones("power");
+    open[5].upToPct = null; // only the last zone may be open-ended
+    assert.throws(
+      () => timeInZones(series([100, 200]), "watts", open, 200),
+      /Only the last zone can be open-ended, not "Anaerobic"/
+    );
+  });
+
+  test("a fixture's zones cover its moving time", () => {
+    const parsed = parse3dp(
+      new Uint8Array(readFileSync(join(FIXTURES_DIR, FIXTURES[4].file))).buffer
+    );
+    const zones = timeInZones(
+      parsed.trackpoints,
+      "watts",
+      defaultZones("power"),
+      parsed.metadata.ftpWatts,
+      parsed.pauses
+    );
+    const seconds = zones.reduce((sum, z) => sum + z.seconds, 0);
+    assert.ok(Math.abs(seconds - parsed.stats.timerSec) <= 2, `${seconds}`);
+    const percent = zones.reduce((sum, z) => sum + z.percent, 0);
+    assert.ok(Math.abs(percent - 100) < 0.5);
+  });
+});
+
+// ── Interval detection ────────────────────────────────────────────────────────
+
+describe("Interval detection", () => {
+  // Blocks of [seconds, watts] ridden one after another at 1 Hz
+  const ride = (blocks) => {
+    const trackpoints = [];
+    for (const [seconds, watts] of blocks) {
+      for (let i = 0; i < seconds; i++) {
+        const sec = trackpoints.length;
+        trackpoints.push({ sec, watts, hr: 100 + Math.round(watts / 10) });
+      }
+    }
+    const durationSec = trackpoints.length;
+    return {
+      trackpoints: trackpoints.map((tp) => ({
+        ...tp,
+        cadence: null,
+        distMeters: null,
+        lap: 0,
+      })),
+      pauses: [],
+      stats: { durationSec, timerSec: durationSec, avgWatts: 150 },
+      metadata: { ftpWatts: 250 },
+    };
+  };
+
+  test("finds each effort and the recoveries between them", () => {
+    const workout = ride([
+      [120, 100],
+      [60, 300],
+      [30, 100],
+      [60, 300],
+      [30, 100],
+      [60, 300],
+      [120, 100],
+    ]);
+    const intervals = detectIntervals(workout);
+    assert.deepStrictEqual(
+      intervals.map((iv) => [iv.kind, iv.startSec, iv.endSec]),
+      [
+        ["effort", 120, 180],
+        ["recovery", 180, 210],
+        ["effort", 210, 270],
+        ["recovery", 270, 300],
+        ["effort", 300, 360],
+      ]
+    );
+    const [effort, recovery] = intervals;
+    assert.strictEqual(effort.durationSec, 60);
+    assert.strictEqual(effort.avgWatts, 300);
+    assert.strictEqual(effort.maxWatts, 300);
+    assert.strictEqual(effort.avgHr, 130);
+    assert.strictEqual(recovery.avgWatts, 100);
+  });
+
+  test("short spikes are dropped and short dips don't split an effort", () => {
+    const workout = ride([
+      [120, 100],
+      [10, 400],
+      [120, 100],
+      [60, 300],
+      [8, 120],
+      [60, 300],
+      [120, 100],
+    ]);
+    assert.deepStrictEqual(
+      detectIntervals(workout).map((iv) => [iv.kind, iv.startSec, iv.endSec]),
+      [["effort", 250, 378]]
+    );
+    // A lower threshold and shorter minimum pick up the spike too
+    const loose = detectIntervals(workout, { minEffortSec: 5 });
+    assert.strictEqual(loose.filter((iv) => iv.kind === "effort").length, 2);
+  });
+
+  test("the threshold follows the FTP, or the average without one", () => {
+    const workout = ride([
+      [120, 100],
+      [60, 200],
+      [120, 100],
+    ]);
+    // 200 W is under 88% of a 250 W FTP…
+    assert.strictEqual(detectIntervals(workout).length, 0);
+    // …but well over the average power
+    assert.strictEqual(
+      detectIntervals({ ...workout, metadata: {} }).length,
+      1
+    );
+    assert.strictEqual(
+      detectIntervals(workout, { thresholdWatts: 180 }).length,
+      1
+    );
+  });
+
+  test("efforts land on the planned over intervals", () => {
+    const parsed = parse3dp(
+      new Uint8Array(readFileSync(join(FIXTURES_DIR, FIXTURES[0].file))).buffer
+    );
+    const efforts = detectIntervals(parsed).filter(
+      (iv) => iv.kind === "effort"
+    );
+    assert.ok(efforts.length >= 10, `${efforts.length}`);
+    for (const effort of efforts.slice(0, 10)) {
+      const planned = parsed.intervals.find(
+        (iv) => Math.abs(iv.startSec - effort.startSec) <= 5
+      );
+      assert.ok(planned, `effort at ${effort.startSec}`);
+      assert.ok(planned.target.startPct >= 100);
+      assert.ok(Math.abs(planned.endSec - effort.endSec) <= 5);
+    }
+  });
+
+  test("accepted intervals become laps", () => {
+    const workout = ride([
+      [120, 100],
+      [60, 300],
+      [30, 100],
+      [60, 300],
+      [120, 100],
+    ]);
+    workout.laps = [];
+    const withLaps = intervalLaps(workout, detectIntervals(workout));
+    assert.deepStrictEqual(
+      withLaps.laps.map((lap) => [lap.name, lap.startSec, lap.endSec]),
+      [
+        ["Warm-up", 0, 120],
+        ["Effort 1", 120, 180],
+        ["Recovery 1", 180, 210],
+        ["Effort 2", 210, 270],
+        ["Cool-down", 270, 390],
+      ]
+    );
+    assert.strictEqual(withLaps.laps[1].avgWatts, 300);
+    assert.strictEqual(withLaps.trackpoints[150].lap, 1);
+    // The original workout is left alone
+    assert.deepStrictEqual(workout.laps, []);
+    assert.strictEqual(workout.trackpoints[150].lap, 0);
+
+    const tcx = buildTcx(withLaps, new Date("2026-01-01T12:00:00Z"));
+    assert.strictEqual(parseTcxStats(tcx).lapCount, 5);
+    assert.ok(tcx.includes("<Notes>Effort 2</Notes>"));
+  });
+});
+
+// ── Heart rate merge ──────────────────────────────────────────────────────────
+
+describe("Heart rate merge", () => {
+  const startTime = new Date("2026-02-11T18:54:55Z");
+  const ride = () =>
+    parse3dp(
+      new Uint8Array(readFileSync(join(FIXTURES_DIR, FIXTURES[4].file))).buffer
+    );
+  // A watch recording of the same ride: HR that varies second by second
+  const watch = () => {
+    const recording = ride();
+    recording.trackpoints.forEach((tp, i) => {
+      tp.hr = 100 + (i % 50);
+      tp.cadence = 88;
+    });
+    return recording;
+  };
+
+  test("fills heart rate from a TCX recording by wall clock", () => {
+    const recording = watch();
+    const samples = readSensorSamples(
+      buildTcx(recording, startTime),
+      "watch.tcx"
+    );
+    const merged = mergeSensorData(ride(), samples, startTime);
+    assert.deepStrictEqual(
+      merged.trackpoints.map((t) => t.hr),
+      recording.trackpoints.map((t) => t.hr)
+    );
+    assert.strictEqual(merged.stats.hasHR, true);
+    assert.strictEqual(merged.stats.coverage.hr, 100);
+    assert.strictEqual(merged.stats.hasCadence, false);
+    assert.ok(merged.laps.every((lap) => lap.avgHr !== null));
+    assert.strictEqual(merged.sensorMerge.hrPoints, merged.trackpoints.length);
+    assert.strictEqual(merged.sensorMerge.maxHr, 149);
+
+    // The merged heart rate reaches the exports
+    assert.ok(
+      buildTcx(merged, startTime).includes("<HeartRateBpm><Value>149</Value>")
+    );
+  });
+
+  test("reads FIT and GPX recordings", () => {
+    const recording = watch();
+    const route =
+      '<gpx><trk><trkseg><trkpt lat="45" lon="6"></trkpt>' +
+      '<trkpt lat="45.5" lon="6"></trkpt></trkseg></trk></gpx>';
+    for (const [data, name] of [
+      [buildFit(recording, startTime).buffer, "watch.fit"],
+      [buildGpx(recording, startTime, route), "watch.gpx"],
+    ]) {
+      const samples = readSensorSamples(data, name);
+      assert.strictEqual(samples.length, recording.trackpoints.length, name);
+      assert.deepStrictEqual(
+        samples.slice(0, 3).map((s) => [s.timeMs, s.hr, s.cadence]),
+        recording.trackpoints
+          .slice(0, 3)
+          .map((t) => [startTime.getTime() + t.sec * 1000, t.hr, 88]),
+        name
+      );
+    }
+  });
+
+  test("the offset nudges a recording whose clock runs late", () => {
+    const recording = watch();
+    const late = new Date(startTime.getTime() + 10000);
+    const samples = readSensorSamples(buildTcx(recording, late), "watch.tcx");
+    const expected = recording.trackpoints.map((t) => t.hr);
+
+    const unaligned = mergeSensorData(ride(), samples, startTime);
+    assert.notDeepStrictEqual(unaligned.trackpoints.map((t) => t.hr), expected);
+    const aligned = mergeSensorData(ride(), samples, startTime, {
+      offsetSec: 10,
+    });
+    assert.deepStrictEqual(aligned.trackpoints.map((t) => t.hr), expected);
+    assert.strictEqual(aligned.sensorMerge.offsetSec, 10);
+  });
+
+  test("cadence is merged only when asked; recorded values are kept", () => {
+    const samples = readSensorSamples(
+      buildTcx(watch(), startTime),
+      "watch.tcx"
+    );
+    const own = ride();
+    own.trackpoints[0].hr = 77;
+    assert.strictEqual(
+      mergeSensorData(own, samples, startTime).trackpoints[0].hr,
+      77
+    );
+    const merged = mergeSensorData(own, samples, startTime, { cadence: true });
+    assert.ok(merged.trackpoints.every((t) => t.cadence === 88));
+    assert.strictEqual(merged.stats.coverage.cadence, 100);
+  });
+
+  test("rejects recordings it can't use", () => {
+    const rejects = (fn, code) =>
+      assert.throws(
+        fn,
+        (err) => err instanceof FormatError && err.code === code
+      );
+    rejects(() => readSensorSamples("", "watch.csv"), "unsupported-format");
+    rejects(
+      () => readSensorSamples(buildTcx(ride(), startTime), "ride.tcx"),
+      "no-sensor-data"
+    );
+    const samples = readSensorSamples(
+      buildTcx(watch(), startTime),
+      "watch.tcx"
+    );
+    rejects(
+      () => mergeSensorData(ride(), samples, new Date("2026-03-01T00:00:00Z")),
+      "no-overlap"
+    );
+  });
+});
+
+// ── PWX export ────────────────────────────────────────────────────────────────
+
+describe("PWX export", () => {
+  const startTime = new Date("2026-01-01T12:00:00");
+  const tag = (xml, name) => xml.match(new RegExp(`<${name}>([^<]*)<`))[1];
+  // The ride summary is the first <summarydata>, before any segment
+  const rideSummary = (pwx) =>
+    pwx.match(/<summarydata>([\s\S]*?)<\/summarydata>/)[1];
+
+  test("carries every sample and the ride summary", () => {
+    const workout = parseFixture("No Limits 9");
+    const pwx = buildPwx(workout, startTime);
+    const { stats } = workout;
+
+    assert.strictEqual(
+      (pwx.match(/<sample>/g) || []).length,
+      workout.trackpoints.length
+    );
+    const summary = rideSummary(pwx);
+    assert.strictEqual(Number(tag(summary, "duration")), stats.durationSec);
+    assert.strictEqual(Number(tag(summary, "durationstopped")), 0);
+    assert.strictEqual(
+      Number(tag(summary, "dist")),
+      Number(stats.totalDistMeters.toFixed(2))
+    );
+    const pwr = summary.match(/<pwr max="(\d+)" min="(\d+)" avg="(\d+)"/);
+    assert.strictEqual(Number(pwr[1]), stats.maxWatts);
+    assert.strictEqual(Number(pwr[3]), stats.avgWatts);
+
+    // 1 s samples: work is the sum of the watts (the last one is not held)
+    const joules = workout.trackpoints
+      .slice(0, -1)
+      .reduce((sum, t) => sum + t.watts, 0);
+    assert.strictEqual(Number(tag(summary, "work")), Math.round(joules / 1000));
+    // No HR or cadence sensor in the fixtures
+    assert.ok(!/<hr|<cad/.test(pwx));
+    assert.match(pwx, /<title>No Limits 9<\/title>/);
+  });
+
+  test("one segment per lap", () => {
+    const workout = parseFixture("Over and Under variable intervals");
+    const pwx = buildPwx(workout, startTime);
+    const segments = [...pwx.matchAll(/<segment>([\s\S]*?)<\/segment>/g)];
+    assert.strictEqual(segments.length, workout.laps.length);
+    segments.forEach(([, xml], i) => {
+      const lap = workout.laps[i];
+      assert.strictEqual(Number(tag(xml, "beginning")), lap.startSec);
+      assert.strictEqual(Number(tag(xml, "duration")), lap.durationSec);
+      assert.match(xml, new RegExp(`avg="${lap.avgWatts}"`));
+    });
+    const samples = (pwx.match(/<sample>/g) || []).length;
+    assert.strictEqual(samples, workout.trackpoints.length);
+  });
+
+  test("paused time is reported as stopped", () => {
+    const summary = rideSummary(buildPwx(parseFixture("Microburst 3"), startTime));
+    assert.strictEqual(Number(tag(summary, "durationstopped")), 9);
+  });
+});
+
+// ── GPX route export ──────────────────────────────────────────────────────────
+
+describe("GPX route export", () => {
+  const startTime = new Date("2026-01-01T12:00:00");
+  // A climb due north from the equator: ~111 m and 2 m of climbing per point
+  const routeGpx = (tag, count) => `<?xml version="1.0"?>
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1"><trk><trkseg>
+${Array.from(
+  { length: count },
+  (_, i) =>
+    `<${tag} lat="${(i * 0.001).toFixed(3)}" lon="0">` +
+    `<ele>${i * 2}</ele></${tag}>`
+).join("\n")}
+</trkseg></trk></gpx>`;
+  const trackPoints = (gpx) =>
+    [
+      ...gpx.matchAll(
+        /<trkpt lat="([^"]+)" lon="([^"]+)">\s*(?:<ele>([^<]+)<\/ele>)?/g
+      ),
+    ].map((m) => ({ lat: +m[1], lon: +m[2], ele: m[3] ? +m[3] : null }));
+  const metersNorth = (lat) => (lat * Math.PI * 6371008.8) / 180;
+
+  test("places every trackpoint at its distance along the route", () => {
+    const workout = parseFixture("No Limits 10 – Climbing v2");
+    const gpx = buildGpx(workout, startTime, routeGpx("trkpt", 301));
+    const points = trackPoints(gpx);
+    assert.strictEqual(points.length, workout.trackpoints.length);
+    let dist = 0;
+    workout.trackpoints.forEach((tp, i) => {
+      if (tp.distMeters !== null) dist = tp.distMeters;
+      assert.ok(Math.abs(metersNorth(points[i].lat) - dist) < 0.1);
+      assert.strictEqual(points[i].lon, 0);
+    });
+    // Elevation is interpolated between route points
+    const last = points[points.length - 1];
+    assert.ok(
+      Math.abs(last.ele - (last.lat / 0.001) * 2) < 0.1,
+      `ele ${last.ele} at lat ${last.lat}`
+    );
+  });
+
+  test("carries power, heart rate and cadence in the extensions", () => {
+    const workout = parseFixture("No Limits 9");
+    workout.trackpoints = workout.trackpoints.map((tp) => ({
+      ...tp,
+      hr: 140,
+      cadence: 92,
+    }));
+    const gpx = buildGpx(workout, startTime, routeGpx("trkpt", 400));
+    const count = (re) => (gpx.match(re) || []).length;
+    assert.strictEqual(
+      count(/<power>\d+<\/power>/g),
+      workout.trackpoints.length
+    );
+    assert.strictEqual(count(/<gpxtpx:hr>140</g), workout.trackpoints.length);
+    assert.strictEqual(count(/<gpxtpx:cad>92</g), workout.trackpoints.length);
+    assert.match(gpx, /<name>No Limits 9<\/name>/);
+    assert.match(gpx, /<time>2026-01-01T\d\d:00:00Z<\/time>/);
+  });
+
+  test("stays on the last point past the end of the route", () => {
+    const workout = parseFixture("No Limits 9");
+    const points = trackPoints(
+      buildGpx(workout, startTime, routeGpx("rtept", 11))
+    );
+    assert.deepStrictEqual(points[points.length - 1], {
+      lat: 0.01,
+      lon: 0,
+      ele: 20,
+    });
+  });
+
+  test("starts a new track segment after a pause", () => {
+    const gpx = buildGpx(
+      parseFixture("Microburst 3"),
+      startTime,
+      routeGpx("trkpt", 400)
+    );
+    assert.strictEqual((gpx.match(/<trkseg>/g) || []).length, 2);
+  });
+
+  test("a route without points is rejected", () => {
+    assert.throws(
+      () => buildGpx(parseFixture("No Limits 9"), startTime, "<gpx></gpx>"),
+      /no GPX track or route points/
+    );
+  });
+});
+
+// ── CSV export ────────────────────────────────────────────────────────────────
+
+describe("CSV export", () => {
+  const startTime = new Date("2026-01-01T12:00:00");
+  const split = (csv, delimiter = ",") => {
+    const lines = csv.trimEnd().split("\n");
+    const comments = lines.filter((l) => l.startsWith("#"));
+    const [header, ...rows] = lines.filter((l) => !l.startsWith("#"));
+    return {
+      comments,
+      header: header.split(delimiter),
+      rows: rows.map((r) => r.split(delimiter)),
+    };
+  };
+
+  test("one row per trackpoint with the summary in comments", () => {
+    const workout = parseFixture("No Limits 9");
+    const { comments, header, rows } = split(buildCsv(workout, startTime));
+    assert.deepStrictEqual(header, [
+      "time",
+      "elapsed_s",
+      "watts",
+      "cadence_rpm",
+      "hr_bpm",
+      "distance_km",
+      "speed_kph",
+    ]);
+    assert.strictEqual(rows.length, workout.trackpoints.length);
+    assert.ok(comments.includes(`# Athlete: ${workout.athleteName}`));
+    assert.ok(comments.includes(`# Avg power: ${workout.stats.avgWatts} W`));
+    assert.strictEqual(
+      comments.filter((c) => c.startsWith("# Lap ")).length,
+      workout.laps.length
+    );
+
+    const last = rows[rows.length - 1];
+    assert.strictEqual(Number(last[1]), workout.trackpoints.at(-1).sec);
+    assert.strictEqual(
+      Number(last[5]),
+      Number((workout.stats.totalDistMeters / 1000).toFixed(3))
+    );
+    assert.strictEqual(
+      Date.parse(rows[0][0]),
+      startTime.getTime() + workout.trackpoints[0].sec * 1000
+    );
+  });
+
+  test("line breaks in names stay inside their comment line", () => {
+    const workout = parseFixture("No Limits 9");
+    const csv = buildCsv(
+      {
+        ...workout,
+        athleteName: "Jane\nDoe",
+        workoutName: "Over\r\nUnder",
+        laps: workout.laps.map((lap, i) =>
+          i === 0 ? { ...lap, name: "Warm\rup" } : lap
+        ),
+      },
+      startTime
+    );
+    const { comments, rows } = split(csv);
+    assert.ok(comments.includes("# Athlete: Jane Doe"));
+    assert.ok(comments.includes("# Workout: Over Under"));
+    assert.ok(comments.some((c) => c.startsWith("# Lap 1: Warm up — ")));
+    assert.strictEqual(rows.length, workout.trackpoints.length);
+  });
+
+  test("speed comes from the distance covered since the previous row", () => {
+    const workout = parseFixture("No Limits 9");
+    const { rows } = split(buildCsv(workout, startTime));
+    const tps = workout.trackpoints;
+    assert.strictEqual(rows[0][6], "");
+    const i = 1000;
+    const mps =
+      (tps[i].distMeters - tps[i - 1].distMeters) /
+      (tps[i].sec - tps[i - 1].sec);
+    const expected = mps * 3.6;
+    assert.strictEqual(rows[i][6], expected.toFixed(2));
+  });
+
+  test("delimiter, units and empty values are configurable", () => {
+    const workout = parseFixture("No Limits 9");
+    const csv = buildCsv(workout, startTime, {
+      delimiter: "semicolon",
+      units: "imperial",
+      emptyValue: "NA",
+    });
+    const { header, rows } = split(csv, ";");
+    assert.strictEqual(header[5], "distance_mi");
+    assert.strictEqual(header[6], "speed_mph");
+    // No sensors in the fixtures, so cadence and HR are empty everywhere
+    assert.ok(rows.every((r) => r[3] === "NA" && r[4] === "NA"));
+    assert.strictEqual(
+      Number(rows.at(-1)[5]),
+      Number((workout.stats.totalDistMeters / 1609.344).toFixed(3))
+    );
+    const tab = split(
+      buildCsv(workout, startTime, { delimiter: "tab" }),
+      "\t"
+    );
+    assert.strictEqual(tab.header.length, 7);
+  });
+
+  test("speed is left empty across a pause", () => {
+    const workout = parseFixture("Microburst 3");
+    const { rows } = split(buildCsv(workout, startTime));
+    const resumed = workout.trackpoints.findIndex((t) => t.sec > 461);
+    assert.strictEqual(rows[resumed][6], "");
+    assert.notStrictEqual(rows[resumed + 1][6], "");
+  });
+});
+
+// ── GoldenCheetah JSON export ─────────────────────────────────────────────────
+
+describe("GoldenCheetah JSON export", () => {
+  const startTime = new Date("2026-01-21T18:54:25Z");
+
+  test("RIDE metadata, samples and intervals from laps", () => {
+    const workout = parseFixture("No Limits 9");
+    const { RIDE } = JSON.parse(buildGcJson(workout, startTime));
+    assert.strictEqual(RIDE.STARTTIME, "2026/01/21 18:54:25 UTC ");
+    assert.strictEqual(RIDE.RECINTSECS, 1);
+    assert.strictEqual(RIDE.DEVICETYPE, "Computrainer/PerfPro");
+    assert.strictEqual(RIDE.TAGS.Athlete, workout.athleteName);
+    assert.strictEqual(RIDE.TAGS.Sport, "Bike");
+    assert.strictEqual(RIDE.TAGS["Workout Code"], workout.workoutName);
+
+    assert.strictEqual(RIDE.SAMPLES.length, workout.trackpoints.length);
+    assert.deepStrictEqual(
+      RIDE.SAMPLES.map((s) => s.WATTS),
+      workout.trackpoints.map((t) => t.watts)
+    );
+    const last = RIDE.SAMPLES[RIDE.SAMPLES.length - 1];
+    assert.ok(
+      Math.abs(last.KM * 1000 - workout.stats.totalDistMeters) < 1,
+      `last KM ${last.KM}`
+    );
+    assert.ok(RIDE.SAMPLES.slice(1).every((s) => s.KPH >= 0));
+
+    assert.deepStrictEqual(
+      RIDE.INTERVALS.map((iv) => [iv.NAME, iv.START, iv.STOP]),
+      workout.laps.map((lap) => [lap.name, lap.startSec, lap.endSec])
+    );
+  });
+
+  test("sensor channels are left out where there is no value", () => {
+    const workout = parseFixture("No Limits 9");
+    workout.trackpoints[5] = { ...workout.trackpoints[5], hr: null };
+    const samples = JSON.parse(buildGcJson(workout, startTime)).RIDE.SAMPLES;
+    assert.ok(!("HR" in samples[5]));
+    assert.strictEqual(
+      samples.some((s) => "CAD" in s),
+      workout.stats.hasCadence
+    );
+  });
+
+  test("pauses leave a gap in SECS; no laps, no INTERVALS", () => {
+    const workout = parseFixture("Microburst 3");
+    const secs = JSON.parse(buildGcJson(workout, startTime)).RIDE.SAMPLES.map(
+      (s) => s.SECS
+    );
+    const pause = workout.pauses[0];
+    const resumed = secs.findIndex((t) => t > pause.startSec);
+    assert.ok(secs[resumed - 1] <= pause.startSec);
+    assert.ok(secs[resumed] >= pause.endSec - 1, `resumed at ${secs[resumed]}`);
+
+    const noLaps = JSON.parse(
+      buildGcJson({ ...workout, laps: [] }, startTime)
+    ).RIDE;
+    assert.ok(!("INTERVALS" in noLaps));
+  });
+});
+
+// ── Planned workout export ────────────────────────────────────────────────────
+
+describe("Planned workout export", () => {
+  const courseData = (text) =>
+    text
+      .split("[COURSE DATA]\r\n")[1]
+      .split("[END COURSE DATA]")[0]
+      .trimEnd()
+      .split("\r\n")
+      .map((line) => line.split("\t").map(Number));
+
+  test("plan follows the footer segments on the workout clock", () => {
+    for (const { label } of FIXTURES) {
+      const workout = parseFixture(label);
+      const { plan } = workout;
+      assert.ok(plan, `${label}: plan`);
+      assert.strictEqual(plan.name, workout.workoutName);
+      assert.strictEqual(plan.ftpWatts, workout.metadata.ftpWatts);
+      assert.strictEqual(plan.segments.length, workout.intervals.length);
+      let clock = 0;
+      for (const seg of plan.segments) {
+        assert.strictEqual(seg.startSec, clock, `${label}: contiguous`);
+        clock += seg.durationSec;
+      }
+      assert.strictEqual(plan.durationSec, clock);
+    }
+  });
+
+  test("pauses do not stretch the plan", () => {
+    const workout = parseFixture("Microburst 3");
+    assert.ok(workout.pauses.length > 0);
+    const last = workout.plan.segments[workout.plan.segments.length - 1];
+    const lastInterval = workout.intervals[workout.intervals.length - 1];
+    assert.ok(last.endSec < lastInterval.endSec);
+  });
+
+  test("ZWO keeps ramps, cadence and names and collapses repeats", () => {
+    const noLimits = buildZwo(parseFixture("No Limits 9").plan);
+    assert.match(
+      noLimits,
+      /<Warmup Duration="600" PowerLow="0.5" PowerHigh="0.65" Cadence="90">/
+    );
+    assert.match(noLimits, /<textevent timeoffset="0" message="All Out"\/>/);
+
+    const { plan } = parseFixture("Microburst 3");
+    const zwo = buildZwo(plan);
+    const repeats = [...zwo.matchAll(/<IntervalsT Repeat="(\d+)"/g)];
+    assert.ok(repeats.length > 0);
+    assert.match(
+      zwo,
+      /OnDuration="20" OffDuration="40" OnPower="1.2" OffPower="0.5"/
+    );
+    const durations = [...zwo.matchAll(/ Duration="(\d+)"/g)].reduce(
+      (sum, m) => sum + Number(m[1]),
+      0
+    );
+    const intervalTime = [
+      ...zwo.matchAll(
+        /Repeat="(\d+)" OnDuration="(\d+)" OffDuration="(\d+)"/g
+      ),
+    ].reduce((sum, [, n, on, off]) => sum + n * (Number(on) + Number(off)), 0);
+    assert.strictEqual(durations + intervalTime, plan.durationSec);
+  });
+
+  test("ERG writes target watts from the header FTP", () => {
+    const { plan } = parseFixture("No Limits 9");
+    const erg = buildErg(plan);
+    assert.match(erg, /^FTP = 240\r$/m);
+    assert.match(erg, /^MINUTES WATTS\r$/m);
+    const points = courseData(erg);
+    assert.strictEqual(points.length, plan.segments.length * 2);
+    plan.segments.forEach((seg, i) => {
+      assert.deepStrictEqual(points[2 * i], [
+        +(seg.startSec / 60).toFixed(2),
+        Math.round(seg.startPct * 2.4),
+      ]);
+      assert.deepStrictEqual(points[2 * i + 1], [
+        +(seg.endSec / 60).toFixed(2),
+        Math.round(seg.endPct * 2.4),
+      ]);
+    });
+    assert.strictEqual(courseData(buildErg(plan, 300))[0][1], 150);
+    assert.throws(() => buildErg({ ...plan, ftpWatts: null }), /FTP/);
+  });
+
+  test("MRC writes percent of FTP with segment labels", () => {
+    const { plan } = parseFixture("No Limits 9");
+    const mrc = buildMrc(plan);
+    assert.match(mrc, /^MINUTES PERCENT\r$/m);
+    assert.doesNotMatch(mrc, /^FTP =/m);
+    assert.deepStrictEqual(courseData(mrc).slice(0, 2), [
+      [0, 50],
+      [10, 65],
+    ]);
+    assert.match(mrc, /^600\tAll Out\|1 of 4\t30\r$/m);
+  });
+});
+
+// ── Workout compliance ────────────────────────────────────────────────────────
+
+describe("Workout compliance", () => {
+  // Warm-up at 50%, an over at 100% and a ramp from 50% to 100% of 200 W
+  const intervals = [
+    { name: "Warm-up", startSec: 0, endSec: 60, pct: [50, 50] },
+    { name: "Over", startSec: 60, endSec: 120, pct: [100, 100] },
+    { name: "Ramp", startSec: 120, endSec: 180, pct: [50, 100] },
+  ].map(({ pct, ...iv }) => ({
+    ...iv,
+    repeat: null,
+    target: { startPct: pct[0], endPct: pct[1] },
+  }));
+  const ride = (wattsAt, pauses = []) => ({
+    trackpoints: Array.from({ length: 180 }, (_, sec) => ({
+      sec,
+      watts: wattsAt(sec),
+      hr: null,
+      cadence: null,
+      distMeters: null,
+    })),
+    intervals,
+    pauses,
+    stats: {
+      durationSec: 180,
+      timerSec: 180,
+      totalDistMeters: 0,
+      avgWatts: 150,
+      maxWatts: 220,
+    },
+    metadata: { ftpWatts: 200 },
+  });
+  // On target throughout, with the over split either side of 200 W
+  const onTarget = (sec) =>
+    sec < 60 ? 100 : sec < 120 ? (sec < 90 ? 220 : 180) : 150;
+
+  test("pairs each planned interval with what was ridden", () => {
+    const report = planCompliance(ride(onTarget));
+    assert.strictEqual(report.ftpWatts, 200);
+    assert.strictEqual(report.score, 100);
+    const [warmUp, over, ramp] = report.segments;
+    assert.deepStrictEqual(warmUp, {
+      name: "Warm-up",
+      startSec: 0,
+      endSec: 60,
+      durationSec: 60,
+      targetWatts: 100,
+      targetStartWatts: 100,
+      targetEndWatts: 100,
+      avgWatts: 100,
+      compliancePct: 100,
+      secondsAbove: 0,
+      secondsBelow: 0,
+    });
+    assert.strictEqual(over.avgWatts, 200);
+    assert.strictEqual(over.compliancePct, 100);
+    assert.strictEqual(over.secondsAbove, 30);
+    assert.strictEqual(over.secondsBelow, 30);
+    // 150 W along a 100 → 200 W ramp: above it early on, below it late
+    assert.strictEqual(ramp.targetWatts, 150);
+    assert.strictEqual(ramp.targetStartWatts, 100);
+    assert.strictEqual(ramp.targetEndWatts, 200);
+    assert.strictEqual(ramp.compliancePct, 100);
+    assert.strictEqual(ramp.secondsAbove, 26);
+    assert.strictEqual(ramp.secondsBelow, 25);
+    assert.strictEqual(report.secondsAbove, 56);
+    assert.strictEqual(report.secondsBelow, 55);
+  });
+
+  test("the score weights each segment's miss by its duration", () => {
+    const report = planCompliance(
+      ride((sec) => (sec >= 60 && sec < 120 ? 150 : onTarget(sec)))
+    );
+    assert.strictEqual(report.segments[1].compliancePct, 75);
+    assert.strictEqual(report.segments[1].secondsBelow, 60);
+    // (60 × 100 + 60 × 75 + 60 × 100) / 180
+    assert.strictEqual(report.score, 92);
+    // Overshooting costs as much as falling short
+    const over = planCompliance(
+      ride((sec) => (sec >= 60 && sec < 120 ? 250 : onTarget(sec)))
+    );
+    assert.strictEqual(over.segments[1].compliancePct, 125);
+    assert.strictEqual(over.score, 92);
+  });
+
+  test("paused seconds don't count against the target", () => {
+    // Stopped for the first 20 s of the over, then held 200 W
+    const workout = ride((sec) =>
+      sec >= 60 && sec < 120 ? (sec < 80 ? 0 : 200) : onTarget(sec)
+    );
+    const paused = planCompliance({
+      ...workout,
+      trackpoints: workout.trackpoints.filter(
+        (tp) => tp.sec < 60 || tp.sec >= 80
+      ),
+      pauses: [{ startSec: 60, endSec: 80, source: "footer" }],
+    });
+    assert.strictEqual(paused.segments[1].avgWatts, 200);
+    assert.strictEqual(paused.segments[1].compliancePct, 100);
+    assert.strictEqual(paused.segments[1].secondsBelow, 0);
+    // Without the pause those seconds are ridden at 0 W
+    const unpaused = planCompliance(workout).segments[1];
+    assert.strictEqual(unpaused.compliancePct, 67);
+    assert.strictEqual(unpaused.secondsBelow, 20);
+  });
+
+  test("a target FTP can be given, and is needed", () => {
+    const workout = ride(onTarget);
+    const harder = planCompliance(workout, { ftpWatts: 250 });
+    assert.strictEqual(harder.segments[0].targetWatts, 125);
+    assert.strictEqual(harder.segments[0].compliancePct, 80);
+    assert.strictEqual(planCompliance({ ...workout, metadata: {} }), null);
+    assert.strictEqual(planCompliance({ ...workout, intervals: [] }), null);
+  });
+
+  test("segments past the end of the ride are cut short", () => {
+    const workout = parse3dp(
+      new Uint8Array(
+        readFileSync(
+          join(
+            FIXTURES_DIR,
+            FIXTURES.find((f) => f.label === "Microburst 3").file
+          )
+        )
+      ).buffer
+    );
+    const report = planCompliance(workout);
+    assert.strictEqual(report.segments.length, workout.intervals.length);
+    const last = report.segments[report.segments.length - 1];
+    assert.strictEqual(last.endSec, workout.stats.durationSec);
+    assert.ok(report.score > 0 && report.score <= 100);
+  });
+
+  test("TCX carries the report as activity notes", () => {
+    const startTime = new Date("2026-01-01T12:00:00Z");
+    const tcx = buildTcx(ride(onTarget), startTime);
+    const notes = tcx.match(/<\/Lap>\n {6}<Notes>([^<]*)<\/Notes>/)[1];
+    assert.deepStrictEqual(notes.split("\n"), [
+      "Planned vs actual at FTP 200 W: 100% compliance",
+      "0:00 Warm-up: target 100 W, actual 100 W (100%), 0:00 above, " +
+        "0:00 below",
+      "1:00 Over: target 200 W, actual 200 W (100%), 0:30 above, 0:30 below",
+      "2:00 Ramp: target 100-200 W, actual 150 W (100%), 0:26 above, " +
+        "0:25 below",
+    ]);
+    assert.ok(
+      tcx.indexOf("</Notes>\n      <Creator") > tcx.lastIndexOf("</Lap>")
+    );
+
+    const free = buildTcx({ ...ride(onTarget), intervals: [] }, startTime);
+    assert.ok(!free.includes("</Lap>\n      <Notes>"));
+
+    for (const { fixture, tcxStr } of allResults) {
+      assert.ok(
+        tcxStr.includes("<Notes>Planned vs actual at FTP 240 W: "),
+        fixture.label
+      );
+    }
+  });
+});
+
+// ── .3dp writer ───────────────────────────────────────────────────────────────
+
+describe(".3dp writer", () => {
+  // A steady ride with one record per second; `fn(sec)` overrides the samples
+  const synthetic = (seconds, fn = () => ({})) => ({
+    athleteName: "Test Rider",
+    workoutName: "Synthetic",
+    trackpoints: Array.from({ length: seconds + 1 }, (_, sec) => ({
+      sec,
+      watts: 200,
+      cadence: 90 + (sec % 7),
+      hr: 120 + (sec % 30),
+      distMeters: sec * 10,
+      ...fn(sec),
+    })),
+  });
+
+  for (const fixture of FIXTURES) {
+    test(`${fixture.label}: a native-resolution parse round-trips`, () => {
+      const buf = readFileSync(join(FIXTURES_DIR, fixture.file));
+      const options = { nativeResolution: true };
+      const original = parse3dp(new Uint8Array(buf).buffer, options);
+      const rebuilt = parse3dp(build3dp(original), options);
+
+      // Native trackpoints leave out records that step back in time, and
+      // only trackpoints are written
+      assert.strictEqual(
+        rebuilt.stats.recordCount,
+        original.trackpoints.length
+      );
+      assert.deepStrictEqual(
+        { ...rebuilt.stats, recordCount: original.stats.recordCount },
+        original.stats
+      );
+      for (const key of [
+        "athleteName",
+        "workoutName",
+        "laps",
+        "intervals",
+        "pauses",
+        "warnings",
+      ]) {
+        assert.deepStrictEqual(rebuilt[key], original[key], key);
+      }
+      assert.deepStrictEqual(rebuilt.diagnostics, []);
+      // Pause bounds are whole seconds: a sample inside one moves to its end
+      const inPause = (tp) =>
+        original.pauses.some(
+          (p) => tp.sec >= p.startSec && tp.sec < p.endSec
+        );
+      original.trackpoints.forEach((tp, i) => {
+        if (!inPause(tp)) assert.deepStrictEqual(rebuilt.trackpoints[i], tp);
+      });
+    });
+  }
+
+  test("per-second trackpoints round-trip", () => {
+    const buf = readFileSync(join(FIXTURES_DIR, FIXTURES[0].file));
+    const original = parse3dp(new Uint8Array(buf).buffer);
+    const rebuilt = parse3dp(build3dp(original));
+    assert.deepStrictEqual(rebuilt.trackpoints, original.trackpoints);
+    assert.strictEqual(rebuilt.stats.avgWatts, original.stats.avgWatts);
+    assert.deepStrictEqual(
+      rebuilt.metadata.startedAt,
+      original.metadata.startedAt
+    );
+  });
+
+  test("an hour-long ride with real sensors", () => {
+    const workout = parse3dp(build3dp(synthetic(3600)));
+    assert.strictEqual(workout.athleteName, "Test Rider");
+    assert.strictEqual(workout.workoutName, "Synthetic");
+    assert.strictEqual(workout.stats.durationSec, 3600);
+    assert.strictEqual(workout.stats.totalDistMeters, 36000);
+    assert.strictEqual(workout.stats.hasCadence, true);
+    assert.strictEqual(workout.stats.hasHR, true);
+    assert.deepStrictEqual(workout.warnings, []);
+    assert.deepStrictEqual(workout.diagnostics, []);
+  });
+
+  test("power above 511 W", () => {
+    const workout = parse3dp(
+      build3dp(synthetic(60, (sec) => ({ watts: sec === 30 ? 1250 : 600 })))
+    );
+    assert.strictEqual(workout.stats.maxWatts, 1250);
+    assert.strictEqual(workout.trackpoints[10].watts, 600);
+  });
+
+  test("cadence and heart rate past one byte are clamped", () => {
+    const bytes = new Uint8Array(
+      build3dp(
+        synthetic(60, (sec) => ({
+          cadence: sec === 10 ? 300 : 90,
+          hr: sec === 20 ? 256 : 140,
+        }))
+      )
+    );
+    const record = (i, offset) => bytes[0x110 + i * 48 + offset];
+    // 300 rpm and 256 bpm would wrap to 44 and 0
+    assert.strictEqual(record(10, 38), 0xff);
+    assert.strictEqual(record(20, 46), 0xff);
+    assert.strictEqual(record(30, 46), 140);
+  });
+
+  test("segment markers start at 0x83 like PerfPro's", () => {
+    const ride = synthetic(60);
+    ride.trackpoints = ride.trackpoints.map((t) => ({
+      ...t,
+      lap: t.sec < 30 ? 0 : 1,
+    }));
+    const bytes = new Uint8Array(build3dp(ride));
+    const marker = (i) => bytes[0x110 + i * 48];
+    assert.strictEqual(marker(0), 0x83);
+    assert.strictEqual(marker(30), 0x84);
+  });
+
+  test("missing sensors and dropouts", () => {
+    const workout = parse3dp(
+      build3dp(
+        synthetic(600, (sec) => ({
+          cadence: null,
+          hr: sec >= 100 && sec < 130 ? null : 140,
+        }))
+      )
+    );
+    assert.strictEqual(workout.stats.hasCadence, false);
+    assert.strictEqual(workout.stats.hasHR, true);
+    assert.ok(workout.trackpoints.every((t) => t.cadence === null));
+    assert.strictEqual(
+      workout.trackpoints.filter((t) => t.hr === null).length,
+      30
+    );
+    assert.ok(workout.diagnostics.some((d) => d.code === "hr-dropout"));
+  });
+
+  test("a long pause keeps its place and length", () => {
+    const ride = synthetic(1200);
+    // Stopped for ten minutes after the first 300 s
+    ride.trackpoints = ride.trackpoints
+      .filter((t) => t.sec < 300 || t.sec >= 600)
+      .map((t) => (t.sec >= 600 ? { ...t, sec: t.sec + 600 } : t));
+    ride.pauses = [{ startSec: 300, endSec: 1200, source: "footer" }];
+    ride.intervals = [
+      { name: "Before", startSec: 0, endSec: 1200 },
+      { name: "After", startSec: 1200, endSec: 1800 },
+    ];
+    const workout = parse3dp(build3dp(ride));
+    assert.deepStrictEqual(workout.pauses, ride.pauses);
+    assert.strictEqual(workout.stats.durationSec, 1800);
+    assert.strictEqual(workout.stats.timerSec, 900);
+    assert.deepStrictEqual(
+      workout.intervals.map((iv) => [iv.name, iv.startSec, iv.endSec]),
+      [
+        ["Before", 0, 1200],
+        ["After", 1200, 1800],
+      ]
+    );
+  });
+});
+
+// ── Record inspector ──────────────────────────────────────────────────────────
+
+describe("Record inspector", () => {
+  const buf = readFileSync(join(FIXTURES_DIR, FIXTURES[0].file));
+  const bytes = () => new Uint8Array(buf).buffer;
+  const workout = parse3dp(bytes());
+  const { layout, records } = readRecords(bytes());
+
+  test("the layout comes from the file's record decoder", () => {
+    const described = recordLayout(bytes());
+    assert.strictEqual(described.version, 2);
+    assert.strictEqual(described.recordStart, 0x110);
+    assert.strictEqual(described.recordSize, 48);
+    const watts = described.fields.find((f) => f.name === "watts");
+    assert.deepStrictEqual([watts.offset, watts.size], [4, 2]);
+  });
+
+  test("reads the same records parse3dp does", () => {
+    const sentinels = workout.diagnostics.filter(
+      (d) => d.code === "sentinel-record"
+    ).length;
+    assert.strictEqual(records.length, workout.stats.recordCount);
+    assert.ok(sentinels > 0);
+    assert.ok(records.every((r) => r.raw.length === layout.recordSize));
+  });
+
+  test("identified fields correlate with the values they hold", () => {
+    const [watts, cadence] = offsetStats(records, layout.fields, {
+      width: 2,
+      offsets: [4, 38],
+    });
+    assert.strictEqual(watts.field, "watts");
+    assert.ok(watts.correlations[0] > 0.999);
+    assert.strictEqual(cadence.field, "cadence");
+  });
+
+  test("constant offsets have no correlation", () => {
+    const [signature] = offsetStats(records, layout.fields, { offsets: [2] });
+    assert.deepStrictEqual([signature.min, signature.max], [1, 1]);
+    assert.strictEqual(signature.distinct, 1);
+    assert.ok(signature.correlations.every((r) => r === null));
+    assert.strictEqual(pearson([1, 2, 3], [2, 4, 6]), 1);
+    assert.strictEqual(pearson([1, 2, 3], [3, 2, 1]), -1);
+  });
+
+  test("a file it can't read is reported with a failing exit status", () => {
+    const missing = join(FIXTURES_DIR, "missing.3dp");
+    const run = spawnSync(
+      process.execPath,
+      [join(__dirname, "..", "tools", "inspect-3dp.js"), missing],
+      { encoding: "utf-8" }
+    );
+    assert.strictEqual(run.status, 1);
+    assert.ok(run.stderr.startsWith(`Cannot read ${missing}: ENOENT`));
+    assert.match(run.stderr, /\nUsage: node tools\/inspect-3dp\.js/);
+    assert.ok(!run.stderr.includes("    at "), "no stack trace");
+  });
+});
+
+// ── Segment-marker laps ───────────────────────────────────────────────────────
+// With the footer removed there is no interval structure, so laps must come
+// from changes in the per-record segment marker byte.
+
+describe("Segment-marker laps (footer stripped)", () => {
+  const buf = readFileSync(join(FIXTURES_DIR, FIXTURES[0].file));
+  const footerAt = buf.indexOf("WORKOUT ");
+  const stripped = new Uint8Array(buf.subarray(0, footerAt)).buffer;
+  const workout = parse3dp(stripped);
+
+  test("no intervals without a footer", () => {
+    assert.strictEqual(workout.intervals.length, 0);
+  });
+
+  test("laps split at segment marker changes", () => {
+    assert.ok(workout.laps.length > 1, "expected several marker laps");
+    assert.strictEqual(
+      workout.laps.reduce((s, l) => s + l.durationSec, 0),
+      workout.stats.durationSec
+    );
+  });
+
+  test("every trackpoint carries the index of its lap", () => {
+    for (const tp of workout.trackpoints) {
+      const lap = workout.laps[tp.lap];
+      assert.ok(lap, `trackpoint at sec=${tp.sec} has no lap`);
+      assert.ok(tp.sec >= lap.startSec && tp.sec <= lap.endSec);
+    }
+  });
+
+  test("TCX and FIT use the marker laps", () => {
+    const startTime = new Date("2026-01-01T12:00:00");
+    assert.strictEqual(
+      parseTcxStats(buildTcx(workout, startTime)).lapCount,
+      workout.laps.length
+    );
+    assert.strictEqual(
+      parseFitStats(buildFit(workout, startTime)).laps.length,
+      workout.laps.length
+    );
+  });
+});
+
 // ── Validation report — printed after all test output has flushed ─────────────
 // after() inside a describe runs after all sibling tests complete, ensuring
 // the report appears at the bottom without interfering with Node's IPC channel.
@@ -0,0 +1,375 @@
+/**
+ * tools/inspect-3dp.js
+ *
+ * Reverse-engineering aid for the .3dp record format. Summarizes every byte
+ * (or uint16 word) offset of the data records across one or more files and
+ * correlates it with the decoded watts, cadence, distance and time, so the
+ * still-unknown record bytes can be matched to the values they carry.
+ *
+ * Usage:
+ *   node tools/inspect-3dp.js [options] file.3dp [more.3dp ...]
+ *
+ * Options:
+ *   --words          Summarize little-endian uint16 words instead of bytes
+ *   --unknown        Only report offsets that no identified field covers
+ *   --offsets LIST   Only report these offsets, e.g. 5-31,36,37
+ *   --dump RANGE     Print an annotated hex table of records RANGE (e.g. 100-104)
+ *
+ * The record layout, field offsets and sentinel rule all come from
+ * public/converter.js, so the report always matches what the parser reads.
+ */
+
+import { readFileSync } from "node:fs";
+import { basename, dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// converter.js is a browser IIFE; run it against a plain object as `window`.
+const converterSrc = readFileSync(
+  join(__dirname, "..", "public", "converter.js"),
+  "utf-8"
+);
+const converterWindow = {};
+new Function("window", converterSrc)(converterWindow);
+const { recordLayout } = converterWindow.PerfProConverter;
+
+// Decoded values every offset is correlated against
+const SERIES = [
+  { key: "watts", label: "r(watts)" },
+  { key: "cadence", label: "r(cad)" },
+  { key: "distKm", label: "r(dist)" },
+  { key: "ms", label: "r(time)" },
+];
+
+// ─── Record access ────────────────────────────────────────────────────────────
+
+/**
+ * Read the data records of a .3dp file with their raw bytes.
+ * Stops at the footer and skips sentinel records the same way parse3dp does.
+ *
+ * @param  {ArrayBuffer} arrayBuffer
+ * @param  {string} [file]  label carried on each record
+ * @returns {{ layout: object, records: Array<object> }}
+ */
+export function readRecords(arrayBuffer, file = "") {
+  const layout = recordLayout(arrayBuffer);
+  const bytes = new Uint8Array(arrayBuffer);
+  const { recordStart, recordSize } = layout;
+  const totalSlots = Math.floor((bytes.length - recordStart) / recordSize);
+
+  const records = [];
+  let prevMs = -1;
+  for (let i = 0; i < totalSlots; i++) {
+    const offset = recordStart + i * recordSize;
+    if (!layout.isDataRecord(bytes, offset)) break;
+    const record = layout.readRecord(bytes, offset);
+    const sentinel = prevMs !== -1 && record.ms - prevMs > layout.maxDeltaMs;
+    prevMs = record.ms;
+    if (sentinel) continue;
+    records.push({
+      ...record,
+      file,
+      index: i,
+      offset,
+      raw: bytes.subarray(offset, offset + recordSize),
+    });
+  }
+  return { layout, records };
+}
+
+/** Name of the identified field covering `offset`, or "" when it is unknown. */
+export function fieldAt(fields, offset) {
+  const field = fields.find(
+    (f) => offset >= f.offset && offset < f.offset + f.size
+  );
+  return field ? field.name : "";
+}
+
+// ─── Statistics ───────────────────────────────────────────────────────────────
+
+/** Pearson correlation of two equal-length series, or null if either is constant. */
+export function pearson(xs, ys) {
+  const n = xs.length;
+  if (n < 2) return null;
+  let sx = 0;
+  let sy = 0;
+  for (let i = 0; i < n; i++) {
+    sx += xs[i];
+    sy += ys[i];
+  }
+  const mx = sx / n;
+  const my = sy / n;
+  let cov = 0;
+  let vx = 0;
+  let vy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - mx;
+    const dy = ys[i] - my;
+    cov += dx * dy;
+    vx += dx * dx;
+    vy += dy * dy;
+  }
+  if (vx === 0 || vy === 0) return null;
+  return cov / Math.sqrt(vx * vy);
+}
+
+/**
+ * Summarize each offset across all records.
+ *
+ * @param  {Array<object>} records  from readRecords, possibly from several files
+ * @param  {Array<object>} fields   identified fields of the layout
+ * @param  {{ width?: 1|2, offsets?: number[] }} [options]
+ * @returns {Array<{ offset, field, min, max, distinct, correlations }>}
+ */
+export function offsetStats(records, fields, options = {}) {
+  const width = options.width || 1;
+  const recordSize = records.length > 0 ? records[0].raw.length : 0;
+  const offsets =
+    options.offsets ||
+    Array.from({ length: recordSize - width + 1 }, (_, i) => i);
+
+  const series = SERIES.map(({ key }) =>
+    records.map((r) => (Number.isFinite(r[key]) ? r[key] : 0))
+  );
+
+  return offsets
+    .filter((offset) => offset + width <= recordSize)
+    .map((offset) => {
+      const values = records.map((r) =>
+        width === 2 ? r.raw[offset] | (r.raw[offset + 1] << 8) : r.raw[offset]
+      );
+      let min = Infinity;
+      let max = -Infinity;
+      for (const v of values) {
+        if (v < min) min = v;
+        if (v > max) max = v;
+      }
+      return {
+        offset,
+        field: fieldAt(fields, offset),
+        min,
+        max,
+        distinct: new Set(values).size,
+        correlations: series.map((ys) => pearson(values, ys)),
+      };
+    });
+}
+
+// ─── Output ───────────────────────────────────────────────────────────────────
+
+function hex(value, digits) {
+  return value.toString(16).padStart(digits, "0");
+}
+
+function formatR(r) {
+  return r === null ? "-" : (r >= 0 ? "+" : "") + r.toFixed(2);
+}
+
+function table(header, rows) {
+  const widths = header.map((h, c) =>
+    Math.max(h.length, ...rows.map((row) => String(row[c]).length))
+  );
+  const line = (cells) =>
+    cells
+      .map((cell, c) => String(cell).padEnd(widths[c]))
+      .join("  ")
+      .trimEnd();
+  return [line(header), line(widths.map((w) => "-".repeat(w)))]
+    .concat(rows.map(line))
+    .join("\n");
+}
+
+/** Render offsetStats output as a text table. */
+export function formatStatsTable(stats, width = 1) {
+  const header = ["offset", "min", "max", "distinct"]
+    .concat(SERIES.map((s) => s.label))
+    .concat(["field"]);
+  const rows = stats.map((s) => [
+    `${s.offset} (0x${hex(s.offset, 2)})`,
+    s.min,
+    s.max,
+    s.distinct,
+    ...s.correlations.map(formatR),
+    s.field || (width === 2 ? "" : "?"),
+  ]);
+  return table(header, rows);
+}
+
+function decodeField(raw, field) {
+  const view = new DataView(
+    raw.buffer,
+    raw.byteOffset + field.offset,
+    field.size
+  );
+  switch (field.type) {
+    case "uint8":
+      return String(view.getUint8(0));
+    case "uint16":
+      return String(view.getUint16(0, true));
+    case "uint32":
+      return String(view.getUint32(0, true));
+    case "float32":
+      return String(+view.getFloat32(0, true).toFixed(6));
+    default:
+      return "";
+  }
+}
+
+// Unknown bytes are shown in 4-byte groups with their candidate readings
+function decodeUnknown(raw, offset, size) {
+  const view = new DataView(raw.buffer, raw.byteOffset + offset, size);
+  const readings = [];
+  for (let i = 0; i + 1 < size; i += 2) readings.push(view.getUint16(i, true));
+  let text = readings.length > 0 ? `u16 ${readings.join(" ")}` : "";
+  if (size === 4) {
+    const f = view.getFloat32(0, true);
+    if (
+      Number.isFinite(f) &&
+      f !== 0 &&
+      Math.abs(f) < 1e6 &&
+      Math.abs(f) > 1e-6
+    ) {
+      text += ` · f32 ${+f.toFixed(6)}`;
+    }
+  }
+  return text || `u8 ${view.getUint8(0)}`;
+}
+
+/** Render one record as an annotated hex table, one row per field or unknown group. */
+export function formatRecordDump(record, fields) {
+  const { raw } = record;
+  const rows = [];
+  let offset = 0;
+  while (offset < raw.length) {
+    const field = fields.find((f) => f.offset === offset);
+    let size;
+    let value;
+    let name;
+    if (field) {
+      size = field.size;
+      value = decodeField(raw, field);
+      name = field.name;
+    } else {
+      // Run of unknown bytes up to the next field or 4-byte boundary
+      size = 1;
+      while (
+        size < 4 &&
+        offset + size < raw.length &&
+        (offset + size) % 4 !== 0 &&
+        !fieldAt(fields, offset + size)
+      ) {
+        size++;
+      }
+      value = decodeUnknown(raw, offset, size);
+      name = "?";
+    }
+    const bytesHex = Array.from(raw.subarray(offset, offset + size), (b) =>
+      hex(b, 2)
+    ).join(" ");
+    const range = size === 1 ? `${offset}` : `${offset}-${offset + size - 1}`;
+    rows.push([range, bytesHex, value, name]);
+    offset += size;
+  }
+  const title =
+    `${record.file} record ${record.index} @ 0x${hex(record.offset, 4)}` +
+    ` — ${record.ms} ms, ${record.watts} W, ${record.distKm.toFixed(3)} km`;
+  return `${title}\n${table(["bytes", "hex", "value", "field"], rows)}`;
+}
+
+// ─── Command line ─────────────────────────────────────────────────────────────
+
+/** Parse "5-31,36,37" into a sorted list of numbers. */
+export function parseRangeList(text) {
+  const out = new Set();
+  for (const part of text.split(",")) {
+    const match = /^\s*(\d+)\s*(?:-\s*(\d+))?\s*$/.exec(part);
+    if (!match) throw new Error(`Bad range "${part}"`);
+    const start = Number(match[1]);
+    const end = match[2] === undefined ? start : Number(match[2]);
+    for (let n = start; n <= end; n++) out.add(n);
+  }
+  return Array.from(out).sort((a, b) => a - b);
+}
+
+function usage() {
+  return "Usage: node tools/inspect-3dp.js [--words] [--unknown] [--offsets LIST] [--dump RANGE] file.3dp [more.3dp ...]";
+}
+
+function main(argv) {
+  const files = [];
+  let width = 1;
+  let unknownOnly = false;
+  let offsets = null;
+  let dump = null;
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--words") width = 2;
+    else if (arg === "--unknown") unknownOnly = true;
+    else if (arg === "--offsets") offsets = parseRangeList(argv[++i] || "");
+    else if (arg === "--dump") dump = parseRangeList(argv[++i] || "");
+    else if (arg === "--help" || arg === "-h") {
+      console.log(usage());
+      return 0;
+    } else files.push(arg);
+  }
+  if (files.length === 0) {
+    console.error(usage());
+    return 1;
+  }
+
+  const all = [];
+  let fields = [];
+  for (const path of files) {
+    let buf;
+    try {
+      buf = readFileSync(path);
+    } catch (err) {
+      console.error(`Cannot read ${path}: ${err.message}`);
+      console.error(usage());
+      return 1;
+    }
+    const arrayBuffer = buf.buffer.slice(
+      buf.byteOffset,
+      buf.byteOffset + buf.byteLength
+    );
+    const { layout, records } = readRecords(arrayBuffer, basename(path));
+    fields = layout.fields;
+    console.log(
+      `${basename(path)}: ${layout.name}, ${records.length} records of ${
+        layout.recordSize
+      } bytes`
+    );
+    all.push(...records);
+
+    if (dump) {
+      for (const index of dump) {
+        const record = records.find((r) => r.index === index);
+        if (record) console.log(`\n${formatRecordDump(record, fields)}`);
+      }
+    }
+  }
+  if (dump) return 0;
+
+  let stats = offsetStats(all, fields, { width, offsets });
+  if (unknownOnly) {
+    stats = stats.filter(
+      (s) =>
+        !Array.from({ length: width }, (_, k) =>
+          fieldAt(fields, s.offset + k)
+        ).some(Boolean)
+    );
+  }
+  console.log(
+    `\n${width === 2 ? "uint16 words" : "Bytes"} across ${
+      all.length
+    } records:\n`
+  );
+  console.log(formatStatsTable(stats, width));
+  return 0;
+}
+
+if (process.argv[1] && process.argv[1] === __filename) {
+  process.exitCode = main(process.argv.slice(2));
+}